@@ -1,9 +1,22 @@
+const fs = require('fs');
 const ari = require('ari-client');
 const { config, logger } = require('./config');
 const { sipMap, extMap, rtpSenders, rtpReceivers, cleanupPromises } = require('./state');
-const { startRTPReceiver, getNextRtpPort, releaseRtpPort, rtpEvents } = require('./rtp');
-const { startOpenAIWebSocket, transcriptPath } = require('./openai');
+const { openRtpReceiver, releaseRtpPort, rtpEvents } = require('./rtp');
+const { startOpenAIWebSocket } = require('./openai');
+const { transcriptPath } = require('./transcript');
 const { sendTranscriptEmail } = require('./mail');
+const { selectProfile, defaultProfile } = require('./profiles');
+const { extractTicket } = require('./ticket');
+const { lookupCaller } = require('./directory');
+const { handleDtmfDigit, clearDtmf } = require('./dtmf');
+const { buildPromptVariables } = require('./prompts');
+const { finalizeUsage } = require('./usage');
+const { finalizeQuality } = require('./rtcp');
+const { startRecording, finalizeRecording, recordingLink } = require('./recording');
+const { publishCallEvent } = require('./events');
+const { createMediaCodec } = require('./codec');
+const { advertisedRtpHost, resolveAllowedSources } = require('./network');
 
 let ariClient;
 
@@ -21,6 +34,20 @@ function isExternalMediaChannel(name = '') {
   return /^UnicastRTP\//.test(name);
 }
 
+/** Read dialplan channel variables (e.g. set with Set() before Stasis); unset ones are skipped. */
+async function readChannelVars(channelId, names) {
+  const vars = {};
+  await Promise.all(names.map(async (variable) => {
+    try {
+      const res = await ariClient.channels.getChannelVar({ channelId, variable });
+      if (res && res.value !== undefined && res.value !== '') vars[variable] = res.value;
+    } catch (e) {
+      logger.debug(`Channel variable ${variable} not available for ${channelId}: ${e.message}`);
+    }
+  }));
+  return vars;
+}
+
 /** Add ExternalMedia channel to a bridge (throws on failure). */
 async function addExtToBridge(client, channel, bridgeId) {
   try {
@@ -120,16 +147,17 @@ function markChannelEndedAndMaybeCleanup(channel, sourceEvent) {
  * - Idempotent; safe to call once.
  */
 async function redirectToQueue(sipChannelId, triggerText = '') {
-  const qExt = String(config.REDIRECTION_QUEUE || process.env.REDIRECTION_QUEUE || '').trim();
-  if (!qExt) {
-    logger.error(`REDIRECTION_QUEUE not set; cannot redirect for ${sipChannelId}`);
-    return;
-  }
   const data = sipMap.get(sipChannelId);
   if (!data) {
     logger.warn(`redirectToQueue: channel ${sipChannelId} not in sipMap`);
     return;
   }
+  const profile = data.profile || defaultProfile;
+  const qExt = String(profile.REDIRECTION_QUEUE || '').trim();
+  if (!qExt) {
+    logger.error(`REDIRECTION_QUEUE not set for profile "${profile.name}"; cannot redirect for ${sipChannelId}`);
+    return;
+  }
   if (data.redirecting) {
     logger.info(`redirectToQueue: already in progress for ${sipChannelId}`);
     return;
@@ -137,7 +165,8 @@ async function redirectToQueue(sipChannelId, triggerText = '') {
   data.redirecting = true;
   sipMap.set(sipChannelId, data);
 
-  logger.info(`Redirection requested for ${sipChannelId} to queue ${qExt} (trigger="${triggerText || 'n/a'}")`);
+  logger.info(`Redirection requested for ${sipChannelId} to queue ${qExt} (profile=${profile.name}, trigger="${triggerText || 'n/a'}")`);
+  publishCallEvent(sipChannelId, 'call.redirect', { queue: qExt, trigger: triggerText || null });
 
   // 1) Stop RTP sending to caller (from OpenAI side), but DO NOT hang up SIP
   try {
@@ -205,7 +234,7 @@ async function redirectToQueue(sipChannelId, triggerText = '') {
 
   // 4) Continue in dialplan to the Queue
   const tryContexts = [];
-  if (config.REDIRECTION_QUEUE_CONTEXT) tryContexts.push(config.REDIRECTION_QUEUE_CONTEXT);
+  if (profile.REDIRECTION_QUEUE_CONTEXT) tryContexts.push(profile.REDIRECTION_QUEUE_CONTEXT);
   // FreePBX queue contexts to try in order:
   tryContexts.push('ext-queues', 'from-internal');
 
@@ -236,8 +265,9 @@ async function redirectToQueue(sipChannelId, triggerText = '') {
  * Wait for playback to complete (OpenAI -> RTP drain), then cleanup.
  * - If buffers are already empty, clean immediately.
  * - Otherwise wait for rtpEvents "audioFinished" or a fallback timeout.
+ * - cleanupReason defaults to "assistant-terminate:<phraseMatched>".
  */
-async function terminateAfterPlayback(channelId, phraseMatched) {
+async function terminateAfterPlayback(channelId, phraseMatched, cleanupReason = `assistant-terminate:${phraseMatched}`) {
   const data = sipMap.get(channelId) || {};
   if (data.redirecting) {
     logger.info(`Terminate requested but call is redirecting; skipping cleanup for ${channelId}`);
@@ -250,8 +280,9 @@ async function terminateAfterPlayback(channelId, phraseMatched) {
 
   // Mark intention to terminate after playback
   data.terminateAfterPlayback = true;
+  publishCallEvent(channelId, 'call.terminate', { reason: cleanupReason });
   sipMap.set(channelId, data);
-  logger.info(`Assistant termination phrase matched ("${phraseMatched}") for ${channelId}; will terminate after playback completes`);
+  logger.info(`Termination requested ("${phraseMatched}") for ${channelId}; will terminate after playback completes`);
 
   // Heuristic: if we don't have a streamHandler, just cleanup now
   const sh = data.streamHandler;
@@ -263,7 +294,7 @@ async function terminateAfterPlayback(channelId, phraseMatched) {
   };
 
   if (isQueueEmpty()) {
-    await cleanupChannel(channelId, `assistant-terminate:${phraseMatched}`);
+    await cleanupChannel(channelId, cleanupReason);
     return;
   }
 
@@ -271,7 +302,8 @@ async function terminateAfterPlayback(channelId, phraseMatched) {
   const fallbackMs = Number(process.env.TERMINATE_FALLBACK_MS || 8000);
   await new Promise(resolve => {
     let resolved = false;
-    const done = () => { if (!resolved) { resolved = true; resolve(); } };
+    let fallbackTimer = null;
+    const done = () => { if (!resolved) { resolved = true; clearTimeout(fallbackTimer); resolve(); } };
 
     const onFinished = (id) => {
       if (id === channelId) {
@@ -282,14 +314,14 @@ async function terminateAfterPlayback(channelId, phraseMatched) {
     };
 
     rtpEvents.on('audioFinished', onFinished);
-    setTimeout(() => {
+    fallbackTimer = setTimeout(() => {
       rtpEvents.off('audioFinished', onFinished);
       logger.warn(`Terminate fallback timeout reached (${fallbackMs}ms) for ${channelId}`);
       done();
     }, fallbackMs);
   });
 
-  await cleanupChannel(channelId, `assistant-terminate:${phraseMatched}`);
+  await cleanupChannel(channelId, cleanupReason);
 }
 
 /**
@@ -328,6 +360,10 @@ async function cleanupChannel(channelId, reason = 'manual') {
       clearTimeout(channelData._cleanupTimer);
       delete channelData._cleanupTimer;
     }
+    clearDtmf(channelId);
+    if (channelData.assistant && typeof channelData.assistant.dispose === 'function') {
+      channelData.assistant.dispose();
+    }
 
     try {
       if (channelData.externalChannelId) {
@@ -337,6 +373,8 @@ async function cleanupChannel(channelId, reason = 'manual') {
 
       if (channelData.callTimeoutId) {
         clearTimeout(channelData.callTimeoutId);
+        clearTimeout(channelData.wrapUpTimeoutId);
+        clearTimeout(channelData.callWatchdogId);
         logger.info(`Call duration timeout cleared for channel ${channelId}`);
       }
 
@@ -346,13 +384,6 @@ async function cleanupChannel(channelId, reason = 'manual') {
         catch (e) { logger.warn(`Stream handler end failed for ${channelId}: ${e.message}`); }
       }
 
-      // Close WS if present
-      if (!channelData.wsClosed && channelData.ws && typeof channelData.ws.close === 'function') {
-        try { channelData.ws.close(); logger.info(`WebSocket close requested for ${channelId}`); }
-        catch (e) { logger.warn(`WebSocket close failed for ${channelId}: ${e.message}`); }
-        await new Promise(r => setTimeout(r, 300));
-      }
-
       // Hang up ExternalMedia leg (safe even if already gone)
       if (channelData.externalChannelId && ariClient) {
         try { await ariClient.channels.hangup({ channelId: channelData.externalChannelId }).catch(() => {}); logger.info(`External channel ${channelData.externalChannelId} hangup attempted`); }
@@ -374,6 +405,7 @@ async function cleanupChannel(channelId, reason = 'manual') {
       // Close RTP sockets
       try {
         const rx = rtpReceivers.get(channelId);
+        if (rx && rx.quality) rx.quality.close(); // now, so the footer below has the numbers
         if (rx && rx.isOpen) { rx.isOpen = false; rx.close(); logger.info(`RTP receiver socket closed for ${channelId}`); }
         rtpReceivers.delete(channelId);
       } catch (e) { logger.warn(`RTP receiver close failed for ${channelId}: ${e.message}`); }
@@ -398,6 +430,27 @@ async function cleanupChannel(channelId, reason = 'manual') {
         extMap.delete(channelId);
       } catch (_) {}
 
+      // Structured ticket, once the caller is gone and the RTP port is free: realtime mode
+      // only needs the OpenAI session, which is therefore closed after it
+      let ticketFile = null;
+      try { ticketFile = await extractTicket(channelId); }
+      catch (e) { logger.warn(`Ticket extraction failed for ${channelId}: ${e.message}`); }
+
+      // Close WS if present
+      if (!channelData.wsClosed && channelData.ws && typeof channelData.ws.close === 'function') {
+        try { channelData.ws.close(); logger.info(`WebSocket close requested for ${channelId}`); }
+        catch (e) { logger.warn(`WebSocket close failed for ${channelId}: ${e.message}`); }
+        await new Promise(r => setTimeout(r, 300));
+      }
+
+      // Recording, voice quality (stored when the RTP receiver closed) and token usage/cost: transcript footer (before the email)
+      try { await finalizeRecording(channelId); }
+      catch (e) { logger.warn(`Recording finalize failed for ${channelId}: ${e.message}`); }
+      try { await finalizeQuality(channelId); }
+      catch (e) { logger.warn(`Quality footer failed for ${channelId}: ${e.message}`); }
+      try { await finalizeUsage(channelId, reason); }
+      catch (e) { logger.warn(`Usage accounting failed for ${channelId}: ${e.message}`); }
+
       // Send transcript email on natural end (skip when redirected)
       try {
         const fresh = sipMap.get(channelId) || channelData;
@@ -405,11 +458,24 @@ async function cleanupChannel(channelId, reason = 'manual') {
         if (config.EMAIL_ENABLED && !wasRedirected) {
           const file = transcriptPath(channelId); // uses callerId from sipMap
           const callerIdForMail = (fresh.callerId || 'unknown').toString();
+          const profile = fresh.profile || defaultProfile;
+          const attachments = ticketFile ? [ticketFile] : [];
+          const notes = [];
+          const recording = fresh.recordingFile;
+          if (recording && config.RECORDING_EMAIL !== 'off') {
+            const tooBig = fs.existsSync(recording) && fs.statSync(recording).size > config.RECORDING_EMAIL_MAX_MB * 1024 * 1024;
+            if (config.RECORDING_EMAIL === 'attach' && !tooBig) attachments.push(recording);
+            else notes.push(`Recording: ${recordingLink(recording)}`);
+          }
           await sendTranscriptEmail({
             channelId,
             callerId: callerIdForMail,
             filePath: file,
-            reason
+            reason,
+            to: profile.EMAIL_TO,
+            profileName: profile.name,
+            attachments,
+            notes
           });
         } else {
           logger.info(`Email not sent for ${channelId} (redirect=${wasRedirected}, enabled=${config.EMAIL_ENABLED})`);
@@ -418,6 +484,8 @@ async function cleanupChannel(channelId, reason = 'manual') {
         logger.warn(`sendTranscriptEmail failed for ${channelId}: ${e.message}`);
       }
 
+      publishCallEvent(channelId, 'call.end', { reason, redirected: !!(sipMap.get(channelId) || channelData).redirecting });
+
       // Finally, remove SIP entry
       sipMap.delete(channelId);
       logger.info(`Cleanup finished for ${channelId}`);
@@ -437,6 +505,7 @@ async function cleanupChannel(channelId, reason = 'manual') {
  */
 async function initializeAriClient() {
   try {
+    await resolveAllowedSources();
     ariClient = await ari.connect(config.ARI_URL, config.ARI_USER, config.ARI_PASS);
     logger.info(`Connected to ARI at ${config.ARI_URL}`);
     await ariClient.start(config.ARI_APP);
@@ -465,7 +534,7 @@ async function initializeAriClient() {
         if (mapping && mapping.bridgeId) {
           try {
             await addExtToBridge(ariClient, channel, mapping.bridgeId);
-            logger.info(`Bridge ${mapping.bridgeId} ready for audio routing, external channel ${channel.id} active with codec ulaw`);
+            logger.info(`Bridge ${mapping.bridgeId} ready for audio routing, external channel ${channel.id} active`);
           } catch (e) {
             logger.error(`Failed to add ExternalMedia ${channel.id} to bridge ${mapping.bridgeId}: ${e.message}`);
           }
@@ -475,18 +544,9 @@ async function initializeAriClient() {
         return;
       }
 
-      // SIP leg: create bridge, start RTP, create ExternalMedia, start OpenAI WS
+      // SIP leg: reserve RTP, create bridge, create ExternalMedia, start OpenAI WS
       logger.info(`SIP channel started: ${channel.id}`);
       try {
-        const bridgeId = `${channel.id}_bridge`;
-        const bridge = await ariClient.bridges.create({ type: 'mixing,proxy_media', bridgeId });
-        await bridge.addChannel({ channel: channel.id });
-        await channel.answer();
-        logger.info(`Channel ${channel.id} answered, bridge ${bridgeId} created for SIP audio`);
-
-        const port = getNextRtpPort();
-        await startRTPReceiver(channel.id, port);
-
         const callerId = (
           channel?.caller?.number ||
           channel?.caller?.name ||
@@ -495,43 +555,116 @@ async function initializeAriClient() {
           ''
         ).toString();
 
+        // Assistant profile from Stasis args (e.g. Stasis(app,sales) or Stasis(app,${FROM_DID})) or dialed extension
+        const profile = selectProfile({ args: evt.args || [], exten: channel?.dialplan?.exten });
+        logger.info(`Profile "${profile.name}" selected for ${channel.id} (args=${JSON.stringify(evt.args || [])}, exten=${channel?.dialplan?.exten || 'n/a'})`);
+
+        // Codec on the ExternalMedia leg (ulaw/alaw/slin16) and its conversion to the Realtime format
+        const media = createMediaCodec(profile.AUDIO_CODEC);
+
+        // RTP port before anything else: without one the call is refused unanswered
+        let port;
+        try {
+          port = await openRtpReceiver(channel.id, media);
+        } catch (e) {
+          if (e.code !== 'ERTPPORTS') throw e;
+          logger.error(`Refusing call ${channel.id}: ${e.message}`);
+          publishCallEvent(channel.id, 'call.refused', { reason: 'no-rtp-port' });
+          cleanedChannels.add(channel.id);
+          try { await channel.hangup({ reason: 'congestion' }); }
+          catch (err) { logger.warn(`Hangup of refused call ${channel.id} failed: ${err.message}`); }
+          return;
+        }
+
+        const bridgeId = `${channel.id}_bridge`;
         sipMap.set(channel.id, {
           bridgeId,
-          bridge,
           channel,
           channelId: channel.id,
           rtpPort: port,
           wsClosed: false,
-          callerId
+          callerId,
+          profile,
+          media,
+          startedAt: Date.now()
         });
 
+        startRecording(channel.id, media); // profile RECORD_AUDIO
+
+        const bridge = await ariClient.bridges.create({ type: 'mixing,proxy_media', bridgeId });
+        sipMap.get(channel.id).bridge = bridge;
+        await bridge.addChannel({ channel: channel.id });
+        await channel.answer();
+        logger.info(`Channel ${channel.id} answered, bridge ${bridgeId} created for SIP audio`);
+        publishCallEvent(channel.id, 'call.start', { callerId, profile: profile.name, exten: channel?.dialplan?.exten || null });
+
         const extParams = {
           app: config.ARI_APP,
-          external_host: `127.0.0.1:${port}`,
-          format: 'ulaw',
+          external_host: advertisedRtpHost(port),
+          format: media.codec.name,
           transport: 'udp',
           encapsulation: 'rtp',
           connection_type: 'client',
           direction: 'both'
         };
         const extChannel = await ariClient.channels.externalMedia(extParams);
-        logger.info(`ExternalMedia channel ${extChannel.id} created with codec ulaw, RTP to 127.0.0.1:${port}`);
+        logger.info(`ExternalMedia channel ${extChannel.id} created with codec ${media.codec.name} (OpenAI audio ${media.realtimeFormat}), RTP to ${extParams.external_host}`);
 
         extMap.set(extChannel.id, { bridgeId, channelId: channel.id });
         extMap.set(channel.id, { bridgeId, externalChannelId: extChannel.id });
 
-        const sipData = sipMap.get(channel.id) || {};
+        // Known caller facts go into the session instructions, channel variables into the prompt templates
+        const [callerInfo, channelVars] = await Promise.all([
+          lookupCaller(callerId),
+          readChannelVars(channel.id, config.PROMPT_CHANNEL_VARIABLES)
+        ]);
+        // The caller may hang up during the lookups: cleanupChannel has then released the call
+        if (cleanedChannels.has(channel.id) || !sipMap.has(channel.id)) {
+          logger.info(`Channel ${channel.id} ended during call setup, not starting OpenAI session`);
+          return;
+        }
+        const sipData = sipMap.get(channel.id);
         sipData.externalChannelId = extChannel.id;
+        sipData.callerInfo = callerInfo;
+        if (callerInfo) logger.info(`Caller ${callerId} found in caller directory for ${channel.id}`);
+        // Variables for the prompt templates
+        sipData.promptVars = buildPromptVariables({
+          channelId: channel.id,
+          callerId,
+          profile,
+          exten: channel?.dialplan?.exten,
+          args: evt.args || [],
+          channelVars
+        });
         sipMap.set(channel.id, sipData);
 
-        // Optional hard cap on call duration
+        // Optional cap on call duration, staged:
+        // lead time before the cap ⇒ ask the assistant to wrap up,
+        // at the cap ⇒ end after playback drains, cap + watchdog ⇒ hard hangup
         if (config.CALL_DURATION_LIMIT_SECONDS > 0) {
           const cd = sipMap.get(channel.id);
-          cd.callTimeoutId = setTimeout(async () => {
-            logger.info(`Call duration limit of ${config.CALL_DURATION_LIMIT_SECONDS} seconds reached for channel ${channel.id}, hanging up`);
+          const limitMs = config.CALL_DURATION_LIMIT_SECONDS * 1000;
+          const leadMs = Math.min(config.CALL_WRAPUP_LEAD_SECONDS * 1000, limitMs);
+          if (leadMs > 0) {
+            cd.wrapUpTimeoutId = setTimeout(() => {
+              const data = sipMap.get(channel.id);
+              if (!data || data._cleaned || data.redirecting) return;
+              logger.info(`Call duration limit in ${leadMs / 1000}s for channel ${channel.id}, asking assistant to wrap up`);
+              if (data.assistant && typeof data.assistant.wrapUp === 'function') data.assistant.wrapUp();
+            }, limitMs - leadMs);
+          }
+          cd.callTimeoutId = setTimeout(() => {
+            logger.info(`Call duration limit of ${config.CALL_DURATION_LIMIT_SECONDS} seconds reached for channel ${channel.id}, ending after playback`);
+            terminateAfterPlayback(channel.id, 'duration-limit', 'duration-limit').catch(e =>
+              logger.error(`Duration-limit terminate error for ${channel.id}: ${e.message}`)
+            );
+          }, limitMs);
+          cd.callWatchdogId = setTimeout(async () => {
+            if (cleanedChannels.has(channel.id)) return;
+            logger.warn(`Call duration watchdog fired for channel ${channel.id}, hanging up`);
             try { await ariClient.channels.hangup({ channelId: channel.id }); }
             catch (e) { logger.error(`Duration-limit hangup error for ${channel.id}: ${e.message}`); }
-          }, config.CALL_DURATION_LIMIT_SECONDS * 1000);
+          }, limitMs + config.CALL_LIMIT_WATCHDOG_SECONDS * 1000);
           sipMap.set(channel.id, cd);
         }
 
@@ -543,10 +676,10 @@ async function initializeAriClient() {
               logger.error(`redirectToQueue failed for ${chanId}: ${e.message}`)
             );
           },
-          onTerminateRequest: async (chanId, phraseMatched) => {
+          onTerminateRequest: async (chanId, phraseMatched, cleanupReason) => {
             if (chanId !== channel.id) return; // defensive
             // Do NOT cleanup immediately — wait for TTS playback to fully reach the caller
-            await terminateAfterPlayback(chanId, phraseMatched);
+            await terminateAfterPlayback(chanId, phraseMatched, cleanupReason || undefined);
           }
         });
       } catch (e) {
@@ -555,6 +688,32 @@ async function initializeAriClient() {
       }
     });
 
+    // Keypad input on the SIP leg ⇒ bound action or digits for the assistant
+    const dtmfActions = {
+      transfer: (chanId, digits) => redirectToQueue(chanId, `dtmf:${digits}`).catch(e =>
+        logger.error(`redirectToQueue (DTMF) failed for ${chanId}: ${e.message}`)
+      ),
+      repeat: (chanId) => {
+        const data = sipMap.get(chanId);
+        if (data && data.assistant) data.assistant.repeatLastTurn();
+      },
+      hangup: (chanId, digits) => terminateAfterPlayback(chanId, `dtmf:${digits}`).catch(e =>
+        logger.error(`terminateAfterPlayback (DTMF) failed for ${chanId}: ${e.message}`)
+      ),
+      digits: (chanId, digits) => {
+        const data = sipMap.get(chanId);
+        if (data && data.assistant) {
+          data.assistant.sendUserText(config.DTMF_TEXT_TEMPLATE.replace('{{digits}}', digits), 'USER (DTMF)');
+        }
+      }
+    };
+
+    ariClient.on('ChannelDtmfReceived', (evt, channel) => {
+      if (isExternalMediaChannel(channel.name || '')) return;
+      logger.info(`DTMF "${evt.digit}" received on ${channel.id}`);
+      handleDtmfDigit(channel.id, evt.digit, dtmfActions);
+    });
+
     // Legs leave Stasis ⇒ mark and maybe cleanup
     ariClient.on('StasisEnd', async (evt, channel) => {
       logger.info(`StasisEnd for channel ${channel.id}, name: ${channel.name}`);
@@ -0,0 +1,94 @@
+// clock.js
+// One playout clock for every call. RTP senders subscribe while they have audio
+// queued and get one tick per 20 ms frame. Ticks are scheduled against the time
+// the clock started, not against the previous tick, so timer lateness does not
+// accumulate. After a stall at most PLAYOUT_MAX_CATCHUP_FRAMES ticks are delivered
+// back to back; the rest of the backlog is dropped and playout simply resumes later.
+
+const { config, logger } = require('./config');
+
+logger.info('Loading clock.js module');
+
+const FRAME_MS = 20;
+const WARN_INTERVAL_MS = 10000;
+
+const subscribers = new Map(); // token ⇒ { channelId, onTick }
+let timer = null;
+let epoch = 0;  // performance.now() of tick 0
+let ticks = 0;  // ticks delivered (or dropped) since epoch
+let lastWarn = 0;
+const stats = { ticks: 0, catchUpTicks: 0, droppedTicks: 0, maxLateMs: 0 };
+
+function deliver() {
+  for (const [token, sub] of [...subscribers]) {
+    if (!subscribers.has(token)) continue; // unsubscribed by an earlier callback this tick
+    try {
+      sub.onTick();
+    } catch (e) {
+      logger.error(`Playout tick failed for ${sub.channelId}: ${e.message}`);
+    }
+  }
+}
+
+function run() {
+  timer = null;
+  if (!subscribers.size) return;
+  const now = performance.now();
+  const lateMs = now - (epoch + ticks * FRAME_MS);
+  stats.maxLateMs = Math.max(stats.maxLateMs, Math.round(lateMs));
+  let due = Math.floor(lateMs / FRAME_MS) + 1;
+  const maxCatchUp = Math.max(1, config.PLAYOUT_MAX_CATCHUP_FRAMES);
+  if (due > maxCatchUp) {
+    const dropped = due - maxCatchUp;
+    ticks += dropped;
+    stats.droppedTicks += dropped;
+    due = maxCatchUp;
+    if (now - lastWarn >= WARN_INTERVAL_MS) {
+      lastWarn = now;
+      logger.warn(`Playout clock ${Math.round(lateMs)}ms late (${subscribers.size} active stream(s)); ${dropped} tick(s) dropped, playout resumes from here`);
+    }
+  }
+  // (!timer: a subscriber that restarted an emptied clock from a callback owns the schedule now)
+  for (let i = 0; i < due && subscribers.size && !timer; i++) {
+    if (i > 0) stats.catchUpTicks++;
+    stats.ticks++;
+    ticks++;
+    deliver();
+  }
+  if (subscribers.size && !timer) schedule();
+}
+
+function schedule() {
+  timer = setTimeout(run, Math.max(0, epoch + ticks * FRAME_MS - performance.now()));
+}
+
+/**
+ * Receive a tick every 20 ms until unsubscribed. The first tick comes with the
+ * next shared tick (immediately when the clock was idle).
+ * @param {string} channelId - for logs
+ * @param {Function} onTick - called once per frame
+ * @returns {Function} unsubscribe
+ */
+function subscribePlayout(channelId, onTick) {
+  const token = {};
+  subscribers.set(token, { channelId, onTick });
+  if (!timer) {
+    epoch = performance.now();
+    ticks = 0;
+    schedule();
+  }
+  return () => {
+    subscribers.delete(token);
+    if (!subscribers.size && timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
+/** Clock counters since start (for /health). */
+function getPlayoutStats() {
+  return { ...stats, activeStreams: subscribers.size };
+}
+
+module.exports = { subscribePlayout, getPlayoutStats, FRAME_MS };
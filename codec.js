@@ -0,0 +1,248 @@
+// codec.js
+// Audio formats on the Asterisk side (ulaw, alaw, slin16) and conversion to and
+// from the Realtime API formats. G.711 is passed through as g711_ulaw/g711_alaw
+// unless REALTIME_AUDIO_FORMAT=pcm16; slin16 is always resampled to/from pcm16 24 kHz.
+
+const { config, logger } = require('./config');
+
+const REALTIME_PCM_RATE = 24000;
+const FRAME_MS = 20;
+
+// --- G.711 (ITU-T G.711, as in the classic Sun g711.c) ---
+
+const ULAW_BIAS = 0x84;
+const ULAW_CLIP = 32635;
+
+function ulawEncodeSample(sample) {
+  let s = sample;
+  const sign = s < 0 ? 0x80 : 0;
+  if (sign) s = -s;
+  if (s > ULAW_CLIP) s = ULAW_CLIP;
+  s += ULAW_BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (s & mask) === 0 && exponent > 0; exponent--, mask >>= 1);
+  const mantissa = (s >> (exponent + 3)) & 0x0F;
+  return ~(sign | (exponent << 4) | mantissa) & 0xFF;
+}
+
+function ulawDecodeSample(byte) {
+  const u = ~byte & 0xFF;
+  const exponent = (u >> 4) & 0x07;
+  const s = ((((u & 0x0F) << 3) + ULAW_BIAS) << exponent) - ULAW_BIAS;
+  return u & 0x80 ? -s : s;
+}
+
+const ALAW_SEG_END = [0x1F, 0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF];
+
+function alawEncodeSample(sample) {
+  let pcm = sample >> 3;
+  let mask = 0xD5;
+  if (pcm < 0) {
+    mask = 0x55;
+    pcm = -pcm - 1;
+  }
+  let seg = 0;
+  while (seg < 8 && pcm > ALAW_SEG_END[seg]) seg++;
+  if (seg >= 8) return 0x7F ^ mask;
+  const aval = (seg << 4) | ((seg < 2 ? pcm >> 1 : pcm >> seg) & 0x0F);
+  return aval ^ mask;
+}
+
+function alawDecodeSample(byte) {
+  const a = byte ^ 0x55;
+  let t = (a & 0x0F) << 4;
+  const seg = (a & 0x70) >> 4;
+  if (seg === 0) t += 8;
+  else if (seg === 1) t += 0x108;
+  else t = (t + 0x108) << (seg - 1);
+  return a & 0x80 ? t : -t;
+}
+
+// 8-bit ⇒ 16-bit tables; encoding goes through a 64K table indexed by the unsigned sample
+const buildDecodeTable = (fn) => Int16Array.from({ length: 256 }, (_, b) => fn(b));
+const buildEncodeTable = (fn) => Uint8Array.from({ length: 65536 }, (_, i) => fn(i - 32768));
+const ULAW_DECODE = buildDecodeTable(ulawDecodeSample);
+const ALAW_DECODE = buildDecodeTable(alawDecodeSample);
+let ULAW_ENCODE = null;
+let ALAW_ENCODE = null;
+
+// --- Asterisk-side codecs ---
+// payloadType: what we put in outgoing RTP (slin16 is dynamic; the inbound value wins, see rtp.js)
+
+const CODECS = {
+  ulaw: {
+    name: 'ulaw', rate: 8000, bytesPerSample: 1, payloadType: 0, silenceByte: 0x7F, realtimeFormat: 'g711_ulaw',
+    decode: (buf) => Int16Array.from(buf, b => ULAW_DECODE[b]),
+    encode: (pcm) => {
+      if (!ULAW_ENCODE) ULAW_ENCODE = buildEncodeTable(ulawEncodeSample);
+      return Buffer.from(Uint8Array.from(pcm, s => ULAW_ENCODE[s + 32768]));
+    }
+  },
+  alaw: {
+    name: 'alaw', rate: 8000, bytesPerSample: 1, payloadType: 8, silenceByte: 0xD5, realtimeFormat: 'g711_alaw',
+    decode: (buf) => Int16Array.from(buf, b => ALAW_DECODE[b]),
+    encode: (pcm) => {
+      if (!ALAW_ENCODE) ALAW_ENCODE = buildEncodeTable(alawEncodeSample);
+      return Buffer.from(Uint8Array.from(pcm, s => ALAW_ENCODE[s + 32768]));
+    }
+  },
+  // 16 kHz signed linear, network byte order on the wire (RFC 3551 L16)
+  slin16: {
+    name: 'slin16', rate: 16000, bytesPerSample: 2, payloadType: 118, silenceByte: 0x00, realtimeFormat: null,
+    decode: (buf) => {
+      const out = new Int16Array(buf.length >> 1);
+      for (let i = 0; i < out.length; i++) out[i] = buf.readInt16BE(i * 2);
+      return out;
+    },
+    encode: (pcm) => {
+      const out = Buffer.alloc(pcm.length * 2);
+      for (let i = 0; i < pcm.length; i++) out.writeInt16BE(pcm[i], i * 2);
+      return out;
+    }
+  }
+};
+
+/** pcm16 as the Realtime API wants it: 24 kHz mono little-endian. */
+function pcm16ToBuffer(pcm) {
+  return Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength);
+}
+
+function bufferToPcm16(buf) {
+  const out = new Int16Array(buf.length >> 1);
+  for (let i = 0; i < out.length; i++) out[i] = buf.readInt16LE(i * 2);
+  return out;
+}
+
+/**
+ * Streaming linear-interpolation resampler; keeps its position across chunks so
+ * consecutive chunks join without clicks. Downsampling runs a short moving-average
+ * low-pass first to keep aliasing down.
+ * @returns {Function} (Int16Array) => Int16Array
+ */
+function createResampler(fromRate, toRate) {
+  if (fromRate === toRate) return (pcm) => pcm;
+  const step = fromRate / toRate;
+  const taps = step > 1 ? Math.round(step) : 1;
+  const history = new Array(taps - 1).fill(0);
+  let prev = 0;
+  let pos = 0;
+
+  return (input) => {
+    let src = input;
+    if (taps > 1) {
+      src = new Int16Array(input.length);
+      for (let i = 0; i < input.length; i++) {
+        history.push(input[i]);
+        let sum = 0;
+        for (const v of history) sum += v;
+        src[i] = Math.round(sum / taps);
+        history.shift();
+      }
+    }
+    // Index 0 is the last sample of the previous chunk, 1..n this chunk
+    const at = (i) => (i === 0 ? prev : src[i - 1]);
+    const out = [];
+    while (pos + 1 <= src.length) {
+      const i = Math.floor(pos);
+      const f = pos - i;
+      out.push(Math.round(at(i) * (1 - f) + at(i + 1) * f));
+      pos += step;
+    }
+    pos -= src.length;
+    if (src.length) prev = src[src.length - 1];
+    return Int16Array.from(out);
+  };
+}
+
+/** RMS level of a pcm16 frame in dBFS (-100 for digital silence). */
+function frameLevelDb(pcm) {
+  if (!pcm.length) return -100;
+  let sum = 0;
+  for (let i = 0; i < pcm.length; i++) sum += pcm[i] * pcm[i];
+  const rms = Math.sqrt(sum / pcm.length);
+  return rms > 0 ? Math.max(-100, 20 * Math.log10(rms / 32768)) : -100;
+}
+
+/**
+ * Per-call media settings and converters.
+ * @param {string} [codecName=AUDIO_CODEC] - ulaw | alaw | slin16
+ * @returns {{
+ *   codec: Object, realtimeFormat: string, frameBytes: number, samplesPerFrame: number,
+ *   bytesPerMs: number, realtimeBytesPerMs: number, payloadType: number,
+ *   silence: Function, isSilent: Function, toRealtime: Function, fromRealtime: Function,
+ *   flushOutbound: Function, resetOutbound: Function
+ * }}
+ */
+function createMediaCodec(codecName = config.AUDIO_CODEC) {
+  let codec = CODECS[String(codecName || '').toLowerCase()];
+  if (!codec) {
+    logger.warn(`Unknown AUDIO_CODEC "${codecName}"; using ulaw (supported: ${Object.keys(CODECS).join(', ')})`);
+    codec = CODECS.ulaw;
+  }
+  const passthrough = codec.realtimeFormat && config.REALTIME_AUDIO_FORMAT !== 'pcm16';
+  const samplesPerFrame = codec.rate * FRAME_MS / 1000;
+  const frameBytes = samplesPerFrame * codec.bytesPerSample;
+  const bytesPerMs = codec.rate / 1000 * codec.bytesPerSample;
+
+  const upsample = createResampler(codec.rate, REALTIME_PCM_RATE);
+  const downsample = createResampler(REALTIME_PCM_RATE, codec.rate);
+  let outboundRemainder = Buffer.alloc(0);
+  let outboundOdd = null; // half of a pcm16 sample split across two deltas
+
+  const media = {
+    codec,
+    realtimeFormat: passthrough ? codec.realtimeFormat : 'pcm16',
+    frameBytes,
+    samplesPerFrame,
+    bytesPerMs,
+    realtimeBytesPerMs: passthrough ? bytesPerMs : REALTIME_PCM_RATE / 1000 * 2,
+    payloadType: codec.payloadType,
+
+    /** Asterisk-side silence of the given length. */
+    silence: (ms) => Buffer.alloc(Math.round(ms * bytesPerMs), codec.silenceByte),
+
+    /** True for a Realtime-format chunk carrying no sound. */
+    isSilent: (buf) => {
+      if (media.realtimeFormat === 'pcm16') return buf.every(b => b === 0);
+      return buf.every(b => b === codec.silenceByte);
+    },
+
+    /** Caller audio (Asterisk payload) ⇒ input_audio_buffer.append bytes. */
+    toRealtime: (payload) => (passthrough ? payload : pcm16ToBuffer(upsample(codec.decode(payload)))),
+
+    /**
+     * Assistant audio (response.audio.delta bytes) ⇒ Asterisk payload. When transcoding,
+     * only whole frames are returned; the tail waits for the next delta or flushOutbound().
+     */
+    fromRealtime: (delta) => {
+      if (passthrough) return delta;
+      let bytes = outboundOdd ? Buffer.concat([outboundOdd, delta]) : delta;
+      outboundOdd = null;
+      if (bytes.length % 2) {
+        outboundOdd = Buffer.from(bytes.subarray(bytes.length - 1));
+        bytes = bytes.subarray(0, bytes.length - 1);
+      }
+      const encoded = Buffer.concat([outboundRemainder, codec.encode(downsample(bufferToPcm16(bytes)))]);
+      const whole = encoded.length - (encoded.length % frameBytes);
+      outboundRemainder = encoded.subarray(whole);
+      return encoded.subarray(0, whole);
+    },
+
+    /** End of an assistant turn: whatever is left of the last frame. */
+    flushOutbound: () => {
+      const tail = outboundRemainder;
+      outboundRemainder = Buffer.alloc(0);
+      outboundOdd = null;
+      return tail;
+    },
+
+    /** Barge-in: forget buffered assistant audio. */
+    resetOutbound: () => {
+      outboundRemainder = Buffer.alloc(0);
+      outboundOdd = null;
+    }
+  };
+  return media;
+}
+
+module.exports = { createMediaCodec, createResampler, frameLevelDb, CODECS, REALTIME_PCM_RATE };
@@ -1,6 +1,20 @@
 require('dotenv').config({ path: './config.conf' });
 const winston = require('winston');
 const chalk = require('chalk');
+const path = require('path');
+const net = require('net');
+
+// Parse a quoted, comma-separated phrase list: "'Phrase one','Phrase two'"
+const parsePhraseList = (raw) => (raw
+  ? Array.from(raw.matchAll(/'([^']+)'/g)).map(m => m[1].toLowerCase().normalize('NFKC').trim())
+  : []);
+
+// Collect LANGUAGE_<KIND>_<LANG> keys into { lang: value }, e.g. LANGUAGE_VOICE_EN=alloy ⇒ { en: 'alloy' }
+const perLanguage = (kind) => Object.fromEntries(
+  Object.entries(process.env)
+    .filter(([k, v]) => v && new RegExp(`^LANGUAGE_${kind}_[A-Z]{2}$`).test(k))
+    .map(([k, v]) => [k.slice(-2).toLowerCase(), v])
+);
 
 // Define configuration object
 const config = {
@@ -9,28 +23,130 @@ const config = {
   ARI_PASS: process.env.ARI_PASSWORD,
   ARI_APP: 'asterisk_to_openai_rt',
   OPENAI_API_KEY: process.env.OPENAI_API_KEY,
+  REALTIME_MODEL: process.env.REALTIME_MODEL || 'gpt-4o-mini-realtime-preview-2024-12-17',
   REALTIME_URL: `wss://api.openai.com/v1/realtime?model=${process.env.REALTIME_MODEL || 'gpt-4o-mini-realtime-preview-2024-12-17'}`,
   OPENAI_VOICE: process.env.OPENAI_VOICE,
   RECORDINGS_DIR: process.env.RECORDINGS_DIR || '/var/spool/asterisk/monitor',
+  // Stereo WAV of the call next to the transcript (see recording.js); per profile: PROFILE_<NAME>_RECORD_AUDIO
+  RECORD_AUDIO: /^true$/i.test(process.env.RECORD_AUDIO || ''),
+  RECORDING_EMAIL: (process.env.RECORDING_EMAIL || 'off').toLowerCase(), // off | attach | link
+  RECORDING_EMAIL_MAX_MB: Number(process.env.RECORDING_EMAIL_MAX_MB || 10),
+  RECORDING_URL_BASE: process.env.RECORDING_URL_BASE || '',
   TRANSCRIPTION_MODEL: process.env.TRANSCRIPTION_MODEL || 'whisper-1',
-  TRANSCRIPTION_LANGUAGE: process.env.TRANSCRIPTION_LANGUAGE || 'en',
+  TRANSCRIPTION_LANGUAGE: process.env.TRANSCRIPTION_LANGUAGE || 'en', // or 'auto'
+  ALLOWED_LANGUAGES: (process.env.ALLOWED_LANGUAGES || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean),
+  LANGUAGE_DETECT_MAX_TURNS: parseInt(process.env.LANGUAGE_DETECT_MAX_TURNS) || 3,
+  LANGUAGE_INSTRUCTIONS: perLanguage('INSTRUCTIONS'),
+  LANGUAGE_VOICES: perLanguage('VOICE'),
   REDIRECTION_QUEUE: process.env.REDIRECTION_QUEUE,
-  REDIRECTION_PHRASES: (process.env.REDIRECTION_PHRASES
-    ? Array.from(process.env.REDIRECTION_PHRASES.matchAll(/'([^']+)'/g)).map(m => m[1].toLowerCase().normalize('NFKC').trim())
-    : []),
-  AGENT_TERMINATE_PHRASES: (process.env.AGENT_TERMINATE_PHRASES
-    ? Array.from(process.env.AGENT_TERMINATE_PHRASES.matchAll(/'([^']+)'/g)).map(m => m[1].toLowerCase().normalize('NFKC').trim())
-    : []),
-  RTP_PORT_START: 12000,
+  REDIRECTION_QUEUE_CONTEXT: process.env.REDIRECTION_QUEUE_CONTEXT,
+  REDIRECTION_PHRASES: parsePhraseList(process.env.REDIRECTION_PHRASES),
+  AGENT_TERMINATE_PHRASES: parsePhraseList(process.env.AGENT_TERMINATE_PHRASES),
+  // Function-calling tools (transfer_to_queue, end_call, custom). Phrase matching stays as a fallback.
+  TOOLS_ENABLED: !/^false$/i.test(process.env.TOOLS_ENABLED || ''),
+  TOOLS_MODULE: process.env.TOOLS_MODULE,
+  TOOL_TIMEOUT_MS: Number(process.env.TOOL_TIMEOUT_MS) || 5000,
+  // Knowledge-base search tool (see kb.js); disabled when KB_DIR is empty
+  KB_DIR: process.env.KB_DIR ? path.resolve(__dirname, process.env.KB_DIR) : '',
+  KB_EXTENSIONS: (process.env.KB_EXTENSIONS || '.md,.txt').split(',').map(s => s.trim().toLowerCase()).filter(Boolean),
+  KB_TOP_K: parseInt(process.env.KB_TOP_K) || 3,
+  KB_MIN_SCORE: Number(process.env.KB_MIN_SCORE || 0),
+  KB_CHUNK_CHARS: parseInt(process.env.KB_CHUNK_CHARS) || 800,
+  KB_RESCAN_SECONDS: Number(process.env.KB_RESCAN_SECONDS || 30),
+  PHRASE_FALLBACK_ENABLED: !/^false$/i.test(process.env.PHRASE_FALLBACK_ENABLED || ''),
+  // Mid-call resume after an OpenAI WebSocket drop
+  RESUME_HISTORY_MAX_ITEMS: parseInt(process.env.RESUME_HISTORY_MAX_ITEMS) || 50,
+  RESUME_INSTRUCTIONS: process.env.RESUME_INSTRUCTIONS ||
+    'The connection was briefly interrupted. Apologize in one short sentence and continue the conversation where it left off. Do not greet the caller again.',
+  // Post-call structured ticket: off | realtime | text
+  TICKET_EXTRACTION: (process.env.TICKET_EXTRACTION || 'off').toLowerCase(),
+  TICKET_SCHEMA_FILE: process.env.TICKET_SCHEMA_FILE,
+  TICKET_MODEL: process.env.TICKET_MODEL || 'gpt-4o-mini',
+  TICKET_TIMEOUT_MS: Number(process.env.TICKET_TIMEOUT_MS) || 10000,
+  // Caller directory (json | csv | sqlite); type inferred from the file extension if unset
+  CALLER_DIRECTORY_PATH: process.env.CALLER_DIRECTORY_PATH,
+  CALLER_DIRECTORY_TYPE: (process.env.CALLER_DIRECTORY_TYPE || '').toLowerCase(),
+  CALLER_DIRECTORY_MATCH_DIGITS: parseInt(process.env.CALLER_DIRECTORY_MATCH_DIGITS) || 9,
+  CALLER_DIRECTORY_QUERY: process.env.CALLER_DIRECTORY_QUERY || "SELECT * FROM callers WHERE number LIKE '%' || ?",
+  CALLER_DIRECTORY_TIMEOUT_MS: Number(process.env.CALLER_DIRECTORY_TIMEOUT_MS) || 1000,
+  // DTMF: bound key sequences (e.g. "0:transfer,*:repeat") and digit collection
+  DTMF_BINDINGS: process.env.DTMF_BINDINGS || '',
+  DTMF_INTERDIGIT_MS: Number(process.env.DTMF_INTERDIGIT_MS) || 2000,
+  DTMF_TERMINATOR: process.env.DTMF_TERMINATOR || '#',
+  DTMF_TEXT_TEMPLATE: process.env.DTMF_TEXT_TEMPLATE || 'The caller typed on the phone keypad: {{digits}}',
+  // Caller silence: reprompt after N seconds, end the call after M unanswered reprompts (0 = off)
+  NO_INPUT_TIMEOUT_SECONDS: Number(process.env.NO_INPUT_TIMEOUT_SECONDS || 10),
+  NO_INPUT_MAX_REPROMPTS: Number(process.env.NO_INPUT_MAX_REPROMPTS || 2),
+  NO_INPUT_REPROMPT_INSTRUCTIONS: process.env.NO_INPUT_REPROMPT_INSTRUCTIONS ||
+    'The caller has been silent for a while. Briefly ask whether they are still there and if you can help.',
+  NO_INPUT_GOODBYE_INSTRUCTIONS: process.env.NO_INPUT_GOODBYE_INSTRUCTIONS ||
+    'The caller is not responding. Say that you are ending the call because there is no response, and say goodbye.',
+  // Local RTP ports for ExternalMedia (even ports in the range are used)
+  RTP_PORT_START: parseInt(process.env.RTP_PORT_START) || 12000,
+  RTP_PORT_END: parseInt(process.env.RTP_PORT_END) || (parseInt(process.env.RTP_PORT_START) || 12000) + 1998,
+  // RTP addressing (see network.js): local bind, address given to Asterisk, accepted senders
+  RTP_BIND_ADDRESS: process.env.RTP_BIND_ADDRESS || '127.0.0.1',
+  RTP_ADVERTISE_ADDRESS: process.env.RTP_ADVERTISE_ADDRESS || '',
+  RTP_ALLOWED_SOURCES: (process.env.RTP_ALLOWED_SOURCES || '').split(',').map(s => s.trim()).filter(Boolean),
+  // ExternalMedia codec (ulaw | alaw | slin16) and Realtime audio format (auto = G.711 passthrough, pcm16 = always transcode)
+  AUDIO_CODEC: (process.env.AUDIO_CODEC || 'ulaw').toLowerCase(),
+  REALTIME_AUDIO_FORMAT: (process.env.REALTIME_AUDIO_FORMAT || 'auto').toLowerCase(),
+  // Inbound jitter buffer (see jitter.js)
+  JITTER_BUFFER_ENABLED: !/^false$/i.test(process.env.JITTER_BUFFER_ENABLED || ''),
+  JITTER_MIN_DELAY_MS: Number(process.env.JITTER_MIN_DELAY_MS || 40),
+  JITTER_MAX_DELAY_MS: Number(process.env.JITTER_MAX_DELAY_MS || 200),
+  JITTER_MAX_CONCEAL_MS: Number(process.env.JITTER_MAX_CONCEAL_MS || 100),
+  // Shared playout clock (see clock.js): frames sent back to back after a stall before the backlog is dropped
+  PLAYOUT_MAX_CATCHUP_FRAMES: Number(process.env.PLAYOUT_MAX_CATCHUP_FRAMES) || 3,
+  // RTCP reports on the RTP port + 1 and voice-quality stats (see rtcp.js)
+  RTCP_ENABLED: !/^false$/i.test(process.env.RTCP_ENABLED || ''),
+  RTCP_INTERVAL_SECONDS: Number(process.env.RTCP_INTERVAL_SECONDS) || 5,
+  // Caller audio to OpenAI (see uplink.js): append size, local energy VAD, silence hold-back
+  INPUT_AUDIO_CHUNK_MS: Number(process.env.INPUT_AUDIO_CHUNK_MS) || 100,
+  LOCAL_VAD_ENABLED: /^true$/i.test(process.env.LOCAL_VAD_ENABLED || ''),
+  LOCAL_VAD_MARGIN_DB: Number(process.env.LOCAL_VAD_MARGIN_DB || 9),
+  LOCAL_VAD_MIN_LEVEL_DB: Number(process.env.LOCAL_VAD_MIN_LEVEL_DB || -50),
+  LOCAL_VAD_HANGOVER_MS: Number(process.env.LOCAL_VAD_HANGOVER_MS || 300),
+  LOCAL_VAD_SILENCE_KEEP_MS: Number(process.env.LOCAL_VAD_SILENCE_KEEP_MS || 1500),
+  LOCAL_VAD_PREROLL_MS: Number(process.env.LOCAL_VAD_PREROLL_MS || 300),
+  LOCAL_VAD_MIN_SPEECH_MS: Number(process.env.LOCAL_VAD_MIN_SPEECH_MS || 200),
+  // Audio levels (see gain.js): assistant gain, loudness normalization and limiter; caller gain
+  OUTBOUND_GAIN_DB: Number(process.env.OUTBOUND_GAIN_DB || 0),
+  OUTBOUND_NORMALIZE: /^true$/i.test(process.env.OUTBOUND_NORMALIZE || ''),
+  OUTBOUND_TARGET_DB: Number(process.env.OUTBOUND_TARGET_DB || -20),
+  OUTBOUND_MAX_NORMALIZE_DB: Number(process.env.OUTBOUND_MAX_NORMALIZE_DB || 12),
+  OUTBOUND_LIMITER: /^true$/i.test(process.env.OUTBOUND_LIMITER || ''),
+  OUTBOUND_LIMITER_DB: Number(process.env.OUTBOUND_LIMITER_DB || -1),
+  INBOUND_GAIN_DB: Number(process.env.INBOUND_GAIN_DB || 0),
+  // Caller speech over the assistant (see uplink.js): full | none | guarded
+  BARGE_IN_MODE: (process.env.BARGE_IN_MODE || 'full').toLowerCase(),
+  BARGE_IN_MIN_SPEECH_MS: Number(process.env.BARGE_IN_MIN_SPEECH_MS || 600),
+  // Thinking-time filler (see filler.js): off | noise | tone | clip
+  FILLER_TYPE: (process.env.FILLER_TYPE || 'off').toLowerCase(),
+  FILLER_DELAY_MS: Number(process.env.FILLER_DELAY_MS || 800),
+  FILLER_MAX_MS: Number(process.env.FILLER_MAX_MS || 10000),
+  FILLER_LEVEL_DB: Number(process.env.FILLER_LEVEL_DB || -45),
+  FILLER_TONE_HZ: Number(process.env.FILLER_TONE_HZ || 440),
+  FILLER_DIR: process.env.FILLER_DIR ? path.resolve(__dirname, process.env.FILLER_DIR) : '',
   MAX_CONCURRENT_CALLS: parseInt(process.env.MAX_CONCURRENT_CALLS) || 10,
+  VAD_TYPE: process.env.VAD_TYPE || 'server_vad',
   VAD_THRESHOLD: parseFloat(process.env.VAD_THRESHOLD) || 0.6,
   VAD_PREFIX_PADDING_MS: Number(process.env.VAD_PREFIX_PADDING_MS) || 200,
   VAD_SILENCE_DURATION_MS: Number(process.env.VAD_SILENCE_DURATION_MS) || 600,
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
   SYSTEM_PROMPT: process.env.SYSTEM_PROMPT,
   INITIAL_MESSAGE: process.env.INITIAL_MESSAGE || 'Hi',
+  // Prompt templates (see prompts.js); a file wins over the inline SYSTEM_PROMPT
+  PROMPTS_DIR: process.env.PROMPTS_DIR || 'prompts',
+  SYSTEM_PROMPT_FILE: process.env.SYSTEM_PROMPT_FILE || '',
+  PROMPT_TIMEZONE: process.env.PROMPT_TIMEZONE || '',
+  PROMPT_CHANNEL_VARIABLES: (process.env.PROMPT_CHANNEL_VARIABLES || '').split(',').map(s => s.trim()).filter(Boolean),
   SILENCE_PADDING_MS: parseInt(process.env.SILENCE_PADDING_MS) || 100,
   CALL_DURATION_LIMIT_SECONDS: parseInt(process.env.CALL_DURATION_LIMIT_SECONDS) || 0, // <— ważny przecinek
+  CALL_WRAPUP_LEAD_SECONDS: Number(process.env.CALL_WRAPUP_LEAD_SECONDS || 30),
+  CALL_WRAPUP_INSTRUCTIONS: process.env.CALL_WRAPUP_INSTRUCTIONS ||
+    'The call is about to reach its time limit. Briefly summarize what was collected, tell the caller the call will end now, and say goodbye.',
+  CALL_LIMIT_WATCHDOG_SECONDS: Number(process.env.CALL_LIMIT_WATCHDOG_SECONDS || 15),
 
   // --- Email on normal call end (not after redirect/handoff) ---
   EMAIL_ENABLED: /^true$/i.test(process.env.EMAIL_ENABLED || ''),
@@ -42,7 +158,21 @@ const config = {
   EMAIL_FROM: process.env.EMAIL_FROM,
   EMAIL_TO: process.env.EMAIL_TO, // comma-separated list
   EMAIL_SUBJECT_TEMPLATE: process.env.EMAIL_SUBJECT_TEMPLATE, // optional
-  EMAIL_BODY_TEMPLATE: process.env.EMAIL_BODY_TEMPLATE        // optional
+  EMAIL_BODY_TEMPLATE: process.env.EMAIL_BODY_TEMPLATE,       // optional
+
+  // --- Token usage / cost accounting (see usage.js) ---
+  USAGE_PRICES_FILE: process.env.USAGE_PRICES_FILE || '',
+  USAGE_CURRENCY: process.env.USAGE_CURRENCY || 'USD',
+  USAGE_LEDGER_DIR: process.env.USAGE_LEDGER_DIR ||
+    path.join(process.env.RECORDINGS_DIR || '/var/spool/asterisk/monitor', 'usage'),
+
+  // --- Supervisor live stream on the health server (see supervisor.js); disabled without a token ---
+  SUPERVISOR_TOKEN: process.env.SUPERVISOR_TOKEN || '',
+  SUPERVISOR_MAX_CLIENTS: parseInt(process.env.SUPERVISOR_MAX_CLIENTS) || 20,
+
+  // --- Assistant profiles (see profiles.js) ---
+  PROFILES: (process.env.PROFILES || '').split(',').map(s => s.trim()).filter(Boolean),
+  DEFAULT_PROFILE: (process.env.DEFAULT_PROFILE || '').trim()
 };
 // Debug logging of loaded configuration
 console.log('Loaded configuration:', {
@@ -85,12 +215,47 @@ const logger = winston.createLogger({
 // <-- NOW use the logger:
 logger.info(`Email config: enabled=${config.EMAIL_ENABLED}, host=${config.SMTP_HOST || 'unset'}, port=${config.SMTP_PORT}, secure=${config.SMTP_SECURE}, to=${config.EMAIL_TO || 'unset'}`);
 
-// Walidacje
-if (!config.SYSTEM_PROMPT || config.SYSTEM_PROMPT.trim() === '') {
-  logger.error('SYSTEM_PROMPT is missing or empty in config.conf');
+// Walidacje (prompt files are checked per profile in profiles.js)
+if (config.SYSTEM_PROMPT && config.SYSTEM_PROMPT.trim() !== '') {
+  logger.info('SYSTEM_PROMPT loaded from config.conf');
+} else {
+  logger.info(`SYSTEM_PROMPT not set in config.conf; expecting prompt files in ${config.PROMPTS_DIR}`);
+}
+
+if (config.RTP_PORT_START % 2 || config.RTP_PORT_END < config.RTP_PORT_START) {
+  logger.error(`Invalid RTP port range ${config.RTP_PORT_START}-${config.RTP_PORT_END}: RTP_PORT_START must be even and not above RTP_PORT_END`);
   process.exit(1);
 }
-logger.info('SYSTEM_PROMPT loaded from config.conf');
+
+if (!net.isIP(config.RTP_BIND_ADDRESS)) {
+  logger.error(`RTP_BIND_ADDRESS "${config.RTP_BIND_ADDRESS}" is not an IPv4 or IPv6 address`);
+  process.exit(1);
+}
+if (!config.RTP_ADVERTISE_ADDRESS) {
+  if (['0.0.0.0', '::'].includes(config.RTP_BIND_ADDRESS)) {
+    logger.error(`RTP_BIND_ADDRESS ${config.RTP_BIND_ADDRESS} listens on all interfaces; set RTP_ADVERTISE_ADDRESS to the address Asterisk should send RTP to`);
+    process.exit(1);
+  }
+  config.RTP_ADVERTISE_ADDRESS = config.RTP_BIND_ADDRESS;
+}
+
+if (config.LOCAL_VAD_ENABLED && config.LOCAL_VAD_SILENCE_KEEP_MS <= config.VAD_SILENCE_DURATION_MS) {
+  logger.warn(`LOCAL_VAD_SILENCE_KEEP_MS (${config.LOCAL_VAD_SILENCE_KEEP_MS}) should exceed VAD_SILENCE_DURATION_MS (${config.VAD_SILENCE_DURATION_MS}), or server VAD may not see the caller stop talking`);
+}
+
+// BARGE_IN_MODE (global or PROFILE_<X>_BARGE_IN_MODE) in lower case; unknown values fall back to full
+function parseBargeInMode(raw, key = 'BARGE_IN_MODE') {
+  const mode = String(raw || 'full').trim().toLowerCase();
+  if (['full', 'none', 'guarded'].includes(mode)) return mode;
+  logger.warn(`Unknown ${key} "${raw}"; using full (use full | none | guarded)`);
+  return 'full';
+}
+config.BARGE_IN_MODE = parseBargeInMode(config.BARGE_IN_MODE);
+
+if (!['off', 'noise', 'tone', 'clip'].includes(config.FILLER_TYPE)) {
+  logger.warn(`Unknown FILLER_TYPE "${config.FILLER_TYPE}"; filler disabled (use off | noise | tone | clip)`);
+  config.FILLER_TYPE = 'off';
+}
 
 if (config.CALL_DURATION_LIMIT_SECONDS < 0) {
   logger.error('CALL_DURATION_LIMIT_SECONDS cannot be negative in config.conf');
@@ -101,4 +266,4 @@ logger.info(`CALL_DURATION_LIMIT_SECONDS set to ${config.CALL_DURATION_LIMIT_SEC
 const logClient = (msg, level = 'info') => logger[level](`[Client] ${msg}`);
 const logOpenAI = (msg, level = 'info') => logger[level](`[OpenAI] ${msg}`);
 
-module.exports = { config, logger, logClient, logOpenAI };
+module.exports = { config, logger, logClient, logOpenAI, parsePhraseList, parseBargeInMode };
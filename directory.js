@@ -0,0 +1,166 @@
+// directory.js
+// Caller directory: looks up the caller ID before the OpenAI session starts so
+// known facts (name, company, service IDs, open tickets) can go into the instructions.
+// Built-in backends: json, csv, sqlite. Others can be added with registerDirectoryBackend().
+
+const fs = require('fs');
+const path = require('path');
+const { config, logger } = require('./config');
+
+logger.info('Loading directory.js module');
+
+const backends = new Map();
+let directory = null; // active backend instance, created lazily
+
+/** Keep only the last CALLER_DIRECTORY_MATCH_DIGITS digits so +48/0048/0 prefixes still match. */
+function normalizeNumber(number) {
+  const digits = String(number || '').replace(/\D/g, '');
+  return digits.slice(-config.CALLER_DIRECTORY_MATCH_DIGITS);
+}
+
+/**
+ * Register a directory backend.
+ * @param {string}   type    - value of CALLER_DIRECTORY_TYPE
+ * @param {Function} factory - (filePath) => ({ lookup: async (normalizedNumber) => record|null })
+ */
+function registerDirectoryBackend(type, factory) {
+  backends.set(type, factory);
+}
+
+/** Re-read a file-backed directory only when its mtime changes. */
+function fileCache(filePath, parse) {
+  let mtimeMs = 0;
+  let index = new Map();
+  return () => {
+    const stat = fs.statSync(filePath);
+    if (stat.mtimeMs !== mtimeMs) {
+      index = new Map();
+      for (const record of parse(fs.readFileSync(filePath, 'utf8'))) {
+        const numbers = [].concat(record.numbers || record.number || []);
+        for (const n of numbers) {
+          const key = normalizeNumber(n);
+          if (key) index.set(key, record);
+        }
+      }
+      mtimeMs = stat.mtimeMs;
+      logger.info(`Caller directory ${filePath} loaded (${index.size} numbers)`);
+    }
+    return index;
+  };
+}
+
+// JSON: an array of records ({ number | numbers, name, company, ... }) or an object keyed by number
+registerDirectoryBackend('json', (filePath) => {
+  const load = fileCache(filePath, (text) => {
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed)
+      ? parsed
+      : Object.entries(parsed).map(([number, record]) => ({ number, ...record }));
+  });
+  return { lookup: async (number) => load().get(number) || null };
+});
+
+/** Minimal RFC 4180 line splitter (quoted fields, doubled quotes). */
+function splitCsvLine(line) {
+  const out = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { out.push(cur); cur = ''; }
+    else cur += ch;
+  }
+  out.push(cur);
+  return out.map(s => s.trim());
+}
+
+// CSV: header row required; a "number" column, other columns become facts.
+// Several numbers or values in one cell are separated with ';'.
+registerDirectoryBackend('csv', (filePath) => {
+  const load = fileCache(filePath, (text) => {
+    const lines = text.split(/\r?\n/).filter(l => l.trim());
+    if (!lines.length) return [];
+    const header = splitCsvLine(lines[0]).map(h => h.toLowerCase());
+    return lines.slice(1).map((line) => {
+      const cells = splitCsvLine(line);
+      const record = {};
+      header.forEach((h, i) => {
+        const v = cells[i] || '';
+        if (v) record[h] = v.includes(';') ? v.split(';').map(s => s.trim()).filter(Boolean) : v;
+      });
+      return record;
+    });
+  });
+  return { lookup: async (number) => load().get(number) || null };
+});
+
+// SQLite: needs the optional better-sqlite3 package. CALLER_DIRECTORY_QUERY receives the normalized number.
+registerDirectoryBackend('sqlite', (filePath) => {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (e) {
+    throw new Error('SQLite caller directory needs the better-sqlite3 package (npm i better-sqlite3)');
+  }
+  const db = new Database(filePath, { readonly: true, fileMustExist: true });
+  const stmt = db.prepare(config.CALLER_DIRECTORY_QUERY);
+  return { lookup: async (number) => stmt.get(number) || null };
+});
+
+function getDirectory() {
+  if (directory || !config.CALLER_DIRECTORY_PATH) return directory;
+  const filePath = path.resolve(__dirname, config.CALLER_DIRECTORY_PATH);
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+  const type = config.CALLER_DIRECTORY_TYPE || (ext === 'db' || ext === 'sqlite' ? 'sqlite' : ext);
+  const factory = backends.get(type);
+  if (!factory) {
+    throw new Error(`Unknown CALLER_DIRECTORY_TYPE "${type}"`);
+  }
+  directory = factory(filePath);
+  logger.info(`Caller directory enabled (type=${type}, path=${filePath})`);
+  return directory;
+}
+
+/**
+ * Look up a caller. Never throws; returns null when disabled, unknown or on error/timeout.
+ * @returns {Promise<Object|null>} directory record
+ */
+async function lookupCaller(callerId) {
+  const number = normalizeNumber(callerId);
+  if (!number) return null;
+  try {
+    const dir = getDirectory();
+    if (!dir) return null;
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        logger.warn(`Caller directory lookup timed out for ${callerId}`);
+        resolve(null);
+      }, config.CALLER_DIRECTORY_TIMEOUT_MS);
+    });
+    const record = await Promise.race([dir.lookup(number), timeout]);
+    clearTimeout(timer);
+    return record || null;
+  } catch (e) {
+    logger.warn(`Caller directory lookup failed for ${callerId}: ${e.message}`);
+    return null;
+  }
+}
+
+/** Render a directory record as an instructions block for the model. */
+function formatCallerFacts(record) {
+  if (!record) return '';
+  const lines = Object.entries(record)
+    .filter(([key, value]) => !['number', 'numbers'].includes(key) && value !== null && value !== '')
+    .map(([key, value]) => `- ${key.replace(/_/g, ' ')}: ${Array.isArray(value) ? value.join(', ') : value}`);
+  if (!lines.length) return '';
+  return 'Known information about this caller from our customer directory ' +
+    '(use it instead of asking again; confirm briefly if relevant):\n' + lines.join('\n');
+}
+
+module.exports = { lookupCaller, formatCallerFacts, registerDirectoryBackend };
@@ -0,0 +1,99 @@
+// dtmf.js
+// Keypad input: digits are collected until DTMF_TERMINATOR or an inter-digit
+// timeout, then either run a bound action (DTMF_BINDINGS, e.g. "0:transfer,*:repeat")
+// or are sent into the conversation as text. A bound key pressed first (and not the
+// start of a longer binding) acts at once, without waiting for more digits.
+
+const { config, logger } = require('./config');
+const { sipMap } = require('./state');
+const { defaultProfile } = require('./profiles');
+
+logger.info('Loading dtmf.js module');
+
+const ACTIONS = new Set(['transfer', 'repeat', 'hangup']);
+
+/** Parse "0:transfer,*:repeat" into Map { '0' => 'transfer', '*' => 'repeat' }. */
+function parseBindings(raw) {
+  const bindings = new Map();
+  for (const pair of String(raw || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const idx = pair.lastIndexOf(':');
+    const keys = pair.slice(0, idx).trim();
+    const action = pair.slice(idx + 1).trim().toLowerCase();
+    if (idx <= 0 || !ACTIONS.has(action)) {
+      logger.warn(`Ignoring invalid DTMF binding "${pair}" (actions: ${[...ACTIONS].join(', ')})`);
+      continue;
+    }
+    bindings.set(keys, action);
+  }
+  return bindings;
+}
+
+const bindingsCache = new Map(); // raw string ⇒ parsed Map
+
+function bindingsFor(profile) {
+  const raw = profile.DTMF_BINDINGS || '';
+  if (!bindingsCache.has(raw)) bindingsCache.set(raw, parseBindings(raw));
+  return bindingsCache.get(raw);
+}
+
+/** Run the binding for an entry, or hand the digits to the model. */
+function flush(channelId, actions) {
+  const data = sipMap.get(channelId);
+  if (!data || !data.dtmf) return;
+  const { digits } = data.dtmf;
+  clearTimeout(data.dtmf.timer);
+  data.dtmf = { digits: '', timer: null };
+  if (!digits) return;
+
+  const action = bindingsFor(data.profile || defaultProfile).get(digits);
+  if (action) {
+    logger.info(`DTMF "${digits}" bound to ${action} for ${channelId}`);
+    actions[action](channelId, digits);
+    return;
+  }
+  logger.info(`DTMF digits "${digits}" collected for ${channelId}; sending to assistant`);
+  actions.digits(channelId, digits);
+}
+
+/**
+ * Feed one keypress. A whole entry equal to a bound key sequence triggers the action
+ * (a lone bound key immediately); anything else is forwarded as text once the caller stops typing.
+ * @param {string} channelId - SIP channel id
+ * @param {string} digit     - 0-9, *, #, A-D
+ * @param {Object} actions   - { transfer, repeat, hangup, digits } callbacks (channelId, digits)
+ */
+function handleDtmfDigit(channelId, digit, actions) {
+  const data = sipMap.get(channelId);
+  if (!data || data._cleaned || data.redirecting) return;
+  if (!data.dtmf) data.dtmf = { digits: '', timer: null };
+  clearTimeout(data.dtmf.timer);
+
+  const bindings = bindingsFor(data.profile || defaultProfile);
+  if (digit === config.DTMF_TERMINATOR) {
+    if (data.dtmf.digits) {
+      flush(channelId, actions);
+      return;
+    }
+    // Terminator with nothing typed yet: not an entry (unless the key is bound on its own)
+    if (!bindings.has(digit)) return;
+  }
+  data.dtmf.digits += digit;
+  if (data.dtmf.digits === digit) {
+    if (bindings.has(digit) && ![...bindings.keys()].some(keys => keys.length > 1 && keys.startsWith(digit))) {
+      flush(channelId, actions);
+      return;
+    }
+  }
+  data.dtmf.timer = setTimeout(() => flush(channelId, actions), config.DTMF_INTERDIGIT_MS);
+}
+
+/** Drop pending digits and timers (call cleanup). */
+function clearDtmf(channelId) {
+  const data = sipMap.get(channelId);
+  if (data && data.dtmf) {
+    clearTimeout(data.dtmf.timer);
+    data.dtmf = null;
+  }
+}
+
+module.exports = { handleDtmfDigit, clearDtmf };
@@ -0,0 +1,22 @@
+// events.js
+// In-process bus for live call events (call start/end, transcript lines and deltas,
+// redirect, terminate). Consumers such as the supervisor SSE stream subscribe to it.
+
+const { EventEmitter } = require('events');
+
+const callEvents = new EventEmitter();
+callEvents.setMaxListeners(0); // one listener per connected supervisor
+
+let seq = 0;
+
+/**
+ * Publish an event for one call.
+ * @param {string} channelId - SIP channel id
+ * @param {string} type      - e.g. 'call.start', 'transcript', 'transcript.delta', 'call.redirect', 'call.terminate', 'call.end'
+ * @param {Object} [data]
+ */
+function publishCallEvent(channelId, type, data = {}) {
+  callEvents.emit('event', { id: ++seq, ts: new Date().toISOString(), channelId, type, ...data });
+}
+
+module.exports = { callEvents, publishCallEvent };
@@ -0,0 +1,160 @@
+// filler.js
+// "Thinking" audio played while the caller waits for the assistant's first audio:
+// comfort noise, a soft repeating tone, or a prerecorded clip picked at random from
+// FILLER_DIR (.ulaw/.alaw raw 8 kHz, or .wav PCM 16-bit/G.711 at any rate). Sources
+// produce frames in the call's Asterisk codec; rtp.js plays them only while its
+// queue of real assistant audio is empty.
+
+const fs = require('fs');
+const path = require('path');
+const { config, logger } = require('./config');
+const { CODECS, createResampler } = require('./codec');
+
+logger.info('Loading filler.js module');
+
+const CLIP_EXTENSIONS = ['.ulaw', '.alaw', '.wav'];
+const TONE_ON_MS = 120;
+const TONE_PERIOD_MS = 1500;
+
+const clipCache = new Map(); // `${file}:${codec}` ⇒ Buffer (Asterisk codec bytes)
+
+/** Parse a WAV file into { rate, pcm: Int16Array } (PCM 16-bit, mu-law or A-law; mono or first channel). */
+function readWav(buf) {
+  if (buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') throw new Error('not a WAV file');
+  let fmt = null;
+  let offset = 12;
+  while (offset + 8 <= buf.length) {
+    const id = buf.toString('ascii', offset, offset + 4);
+    const size = buf.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      fmt = {
+        format: buf.readUInt16LE(body),
+        channels: buf.readUInt16LE(body + 2),
+        rate: buf.readUInt32LE(body + 4),
+        bits: buf.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      if (!fmt) throw new Error('data chunk before fmt chunk');
+      const data = buf.subarray(body, Math.min(buf.length, body + size));
+      const stride = fmt.channels * (fmt.bits / 8);
+      const frames = Math.floor(data.length / stride);
+      const pcm = new Int16Array(frames);
+      for (let i = 0; i < frames; i++) {
+        const at = i * stride;
+        if (fmt.format === 1 && fmt.bits === 16) pcm[i] = data.readInt16LE(at);
+        else if (fmt.format === 7 && fmt.bits === 8) pcm[i] = CODECS.ulaw.decode(data.subarray(at, at + 1))[0];
+        else if (fmt.format === 6 && fmt.bits === 8) pcm[i] = CODECS.alaw.decode(data.subarray(at, at + 1))[0];
+        else throw new Error(`unsupported WAV format ${fmt.format}/${fmt.bits}-bit`);
+      }
+      return { rate: fmt.rate, pcm };
+    }
+    offset = body + size + (size % 2);
+  }
+  throw new Error('no data chunk');
+}
+
+/** A clip converted to the call's codec (cached per codec). */
+function loadClip(file, codec) {
+  const key = `${file}:${codec.name}`;
+  if (clipCache.has(key)) return clipCache.get(key);
+  const raw = fs.readFileSync(file);
+  const ext = path.extname(file).toLowerCase();
+  const { rate, pcm } = ext === '.wav' ? readWav(raw) : { rate: 8000, pcm: CODECS[ext.slice(1)].decode(raw) };
+  const encoded = codec.encode(createResampler(rate, codec.rate)(pcm));
+  clipCache.set(key, encoded);
+  return encoded;
+}
+
+function listClips() {
+  if (!config.FILLER_DIR) return [];
+  try {
+    return fs.readdirSync(config.FILLER_DIR)
+      .filter(name => CLIP_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+      .map(name => path.join(config.FILLER_DIR, name));
+  } catch (e) {
+    logger.warn(`Filler directory ${config.FILLER_DIR} not readable: ${e.message}`);
+    return [];
+  }
+}
+
+/** Linear amplitude for a level in dBFS. */
+const amplitude = (db) => 32767 * Math.pow(10, db / 20);
+
+/**
+ * Frame generator for one waiting period.
+ * @param {Object} media - per-call codec from codec.js
+ * @param {string} [type=FILLER_TYPE] - noise | tone | clip
+ * @returns {{ type: string, next: Function }|null} next() returns one frame, or null when the filler is over
+ */
+function createFillerSource(media, type = config.FILLER_TYPE) {
+  const { codec, samplesPerFrame, frameBytes } = media;
+  const maxFrames = Math.ceil(config.FILLER_MAX_MS / 20);
+  let frames = 0;
+  const limited = (fn) => () => (frames++ < maxFrames ? fn() : null);
+
+  if (type === 'clip') {
+    const clips = listClips();
+    if (!clips.length) {
+      logger.warn(`FILLER_TYPE=clip but no ${CLIP_EXTENSIONS.join('/')} files in ${config.FILLER_DIR || '(FILLER_DIR not set)'}; using comfort noise`);
+      return createFillerSource(media, 'noise');
+    }
+    const file = clips[Math.floor(Math.random() * clips.length)];
+    let clip;
+    try {
+      clip = loadClip(file, codec);
+    } catch (e) {
+      logger.warn(`Filler clip ${file} unusable: ${e.message}; using comfort noise`);
+      return createFillerSource(media, 'noise');
+    }
+    let offset = 0;
+    // Played once: a spoken "one moment" must not loop
+    return {
+      type: `clip ${path.basename(file)}`,
+      next: limited(() => {
+        if (offset >= clip.length) return null;
+        const frame = clip.subarray(offset, offset + frameBytes);
+        offset += frameBytes;
+        return frame.length === frameBytes ? frame : Buffer.concat([frame, Buffer.alloc(frameBytes - frame.length, codec.silenceByte)]);
+      })
+    };
+  }
+
+  const amp = amplitude(config.FILLER_LEVEL_DB);
+  if (type === 'tone') {
+    let sample = 0;
+    const onSamples = TONE_ON_MS * codec.rate / 1000;
+    const periodSamples = TONE_PERIOD_MS * codec.rate / 1000;
+    return {
+      type: 'tone',
+      next: limited(() => {
+        const pcm = new Int16Array(samplesPerFrame);
+        for (let i = 0; i < samplesPerFrame; i++, sample++) {
+          const t = sample % periodSamples;
+          if (t < onSamples) {
+            // Raised-cosine envelope so the beep has no clicks
+            const env = 0.5 - 0.5 * Math.cos(2 * Math.PI * t / onSamples);
+            pcm[i] = Math.round(amp * env * Math.sin(2 * Math.PI * config.FILLER_TONE_HZ * sample / codec.rate));
+          }
+        }
+        return codec.encode(pcm);
+      })
+    };
+  }
+
+  // Comfort noise: white noise through a one-pole low-pass, softer than line noise is annoying
+  let lp = 0;
+  return {
+    type: 'noise',
+    next: limited(() => {
+      const pcm = new Int16Array(samplesPerFrame);
+      for (let i = 0; i < samplesPerFrame; i++) {
+        lp += 0.3 * ((Math.random() * 2 - 1) * amp * 2 - lp);
+        pcm[i] = Math.round(lp);
+      }
+      return codec.encode(pcm);
+    })
+  };
+}
+
+module.exports = { createFillerSource, readWav };
@@ -0,0 +1,108 @@
+// gain.js
+// Level processing for call audio: a fixed gain, optional loudness normalization
+// (speech frames are steered toward a target RMS level, so voices that arrive at
+// different levels sound alike) and a peak limiter with instant attack and a short
+// release, so nothing clips on the way to G.711. Works on decoded pcm16 frames;
+// rtp.js runs the outbound stage on assistant audio and the inbound one on caller audio.
+
+const { config, logger } = require('./config');
+const { frameLevelDb } = require('./codec');
+
+logger.info('Loading gain.js module');
+
+const NORM_GATE_DB = -45;        // quieter frames are pauses: they do not move the loudness estimate
+const NORM_WARMUP_FRAMES = 25;   // first 0.5 s of speech: estimate adapts quickly
+const NORM_ALPHA_FAST = 0.2;
+const NORM_ALPHA_SLOW = 0.02;    // then ~1 s time constant
+const NORM_STEP_DB = 0.5;        // max change of the normalization gain per frame (no zipper noise)
+const LIMITER_RELEASE_DB = 0.3;  // per frame: the limiter lets go at 15 dB/s
+
+const toLinear = (db) => Math.pow(10, db / 20);
+const toDb = (lin) => 20 * Math.log10(lin);
+
+/**
+ * @param {Object} p
+ * @param {number} [p.gainDb=0] - fixed gain
+ * @param {boolean} [p.normalize=false] - steer speech toward targetDb
+ * @param {number} [p.targetDb=-20] - normalization target (RMS dBFS of speech)
+ * @param {number} [p.maxNormalizeDb=12] - normalization never boosts or cuts more than this
+ * @param {number|null} [p.limiterDb=null] - peak ceiling in dBFS; null = no limiter (samples are still clamped)
+ * @returns {{ active: boolean, process: Function, stats: Function }} process(pcm) returns a new Int16Array
+ */
+function createGainStage({ gainDb = 0, normalize = false, targetDb = -20, maxNormalizeDb = 12, limiterDb = null } = {}) {
+  const fixed = toLinear(gainDb);
+  const ceiling = limiterDb === null ? null : 32767 * toLinear(Math.min(0, limiterDb));
+  let estimateDb = null;
+  let speechFrames = 0;
+  let normDb = 0;
+  let limiterGain = 1;
+  let prevGain = fixed;
+  const stats = { frames: 0, limitedFrames: 0, maxReductionDb: 0, clippedSamples: 0 };
+
+  function process(pcm) {
+    stats.frames++;
+    if (normalize) {
+      const level = frameLevelDb(pcm) + gainDb;
+      if (level > NORM_GATE_DB) {
+        const alpha = speechFrames++ < NORM_WARMUP_FRAMES ? NORM_ALPHA_FAST : NORM_ALPHA_SLOW;
+        estimateDb = estimateDb === null ? level : estimateDb + (level - estimateDb) * alpha;
+        const wanted = Math.max(-maxNormalizeDb, Math.min(maxNormalizeDb, targetDb - estimateDb));
+        normDb += Math.max(-NORM_STEP_DB, Math.min(NORM_STEP_DB, wanted - normDb));
+      }
+    }
+    let gain = fixed * toLinear(normDb);
+
+    if (ceiling !== null) {
+      let peak = 0;
+      for (let i = 0; i < pcm.length; i++) peak = Math.max(peak, Math.abs(pcm[i]));
+      const needed = peak * gain > ceiling ? ceiling / (peak * gain) : 1;
+      if (needed < limiterGain) {
+        limiterGain = needed; // instant attack: the whole frame stays under the ceiling
+      } else {
+        limiterGain = Math.min(needed, limiterGain * toLinear(LIMITER_RELEASE_DB));
+      }
+      if (limiterGain < 1) {
+        stats.limitedFrames++;
+        stats.maxReductionDb = Math.max(stats.maxReductionDb, -toDb(limiterGain));
+      }
+      gain *= limiterGain;
+    }
+
+    // Ramp from the previous frame's gain, except when the limiter has to cut now
+    const from = gain < prevGain && ceiling !== null ? gain : prevGain;
+    const out = new Int16Array(pcm.length);
+    for (let i = 0; i < pcm.length; i++) {
+      const g = from + (gain - from) * (i + 1) / pcm.length;
+      const v = Math.round(pcm[i] * g);
+      if (v > 32767 || v < -32768) stats.clippedSamples++;
+      out[i] = Math.max(-32768, Math.min(32767, v));
+    }
+    prevGain = gain;
+    return out;
+  }
+
+  return {
+    active: gainDb !== 0 || normalize || ceiling !== null,
+    process,
+    /** Counters plus the current normalization gain (dB). */
+    stats: () => ({ ...stats, maxReductionDb: Number(stats.maxReductionDb.toFixed(1)), normalizeDb: Number(normDb.toFixed(1)) })
+  };
+}
+
+/** Outbound (assistant audio) stage from a profile's OUTBOUND_* settings. */
+function createOutboundGain(profile = config) {
+  return createGainStage({
+    gainDb: Number(profile.OUTBOUND_GAIN_DB) || 0,
+    normalize: !!profile.OUTBOUND_NORMALIZE,
+    targetDb: Number(profile.OUTBOUND_TARGET_DB),
+    maxNormalizeDb: Number(profile.OUTBOUND_MAX_NORMALIZE_DB),
+    limiterDb: profile.OUTBOUND_LIMITER ? Number(profile.OUTBOUND_LIMITER_DB) : null
+  });
+}
+
+/** Inbound (caller audio) stage: INBOUND_GAIN_DB only, clamped. */
+function createInboundGain(profile = config) {
+  return createGainStage({ gainDb: Number(profile.INBOUND_GAIN_DB) || 0 });
+}
+
+module.exports = { createGainStage, createOutboundGain, createInboundGain };
@@ -0,0 +1,63 @@
+// inactivity.js
+// Per-call caller-silence monitor: after the assistant finishes speaking, wait
+// NO_INPUT_TIMEOUT_SECONDS for the caller; reprompt up to NO_INPUT_MAX_REPROMPTS
+// times, then give up so the call can be ended.
+
+const { logger } = require('./config');
+
+/**
+ * @param {Object}   p
+ * @param {string}   p.channelId
+ * @param {number}   p.timeoutMs     - silence allowed after the assistant finished (0 disables)
+ * @param {number}   p.maxReprompts  - reprompts before giving up
+ * @param {Function} p.onReprompt    - (attempt) => void; ask the caller if they are still there
+ * @param {Function} p.onGiveUp      - () => void; end the call
+ */
+function createInactivityMonitor({ channelId, timeoutMs, maxReprompts, onReprompt, onGiveUp }) {
+  let timer = null;
+  let reprompts = 0;
+  let stopped = false;
+
+  function clear() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  function fire() {
+    timer = null;
+    if (stopped) return;
+    if (reprompts >= maxReprompts) {
+      logger.info(`No caller input for ${channelId} after ${reprompts} reprompt(s); ending call`);
+      stopped = true;
+      onGiveUp();
+      return;
+    }
+    reprompts++;
+    logger.info(`No caller input for ${channelId} for ${timeoutMs}ms; reprompt ${reprompts}/${maxReprompts}`);
+    onReprompt(reprompts);
+  }
+
+  return {
+    /** Assistant finished a turn; start counting once the remaining playout (ms) has drained. */
+    arm(playoutMs = 0) {
+      if (stopped || !timeoutMs) return;
+      clear();
+      timer = setTimeout(fire, timeoutMs + playoutMs);
+    },
+    /** Assistant started a new turn; silence is not the caller's until it ends. */
+    pause: clear,
+    /** Caller spoke or typed; forget previous reprompts. */
+    activity() {
+      clear();
+      reprompts = 0;
+    },
+    stop() {
+      stopped = true;
+      clear();
+    }
+  };
+}
+
+module.exports = { createInactivityMonitor };
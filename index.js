@@ -2,6 +2,9 @@
 const http = require('http');
 const { initializeAriClient, ariClient } = require('./asterisk');
 const { config, logger } = require('./config');
+const { getDailyUsage } = require('./usage');
+const { handleSupervisorRequest, authorizeSupervisor } = require('./supervisor');
+const { getPlayoutStats } = require('./clock');
 
 process.title = 'asterisk-openai-realtime';
 process.env.NODE_ENV = process.env.NODE_ENV || 'production';
@@ -19,6 +22,21 @@ function maybeStartHealthServer() {
   if (!port || server) return;
 
   server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    // Live call events for supervisors (SSE): /events[?channel=<id>]
+    if (handleSupervisorRequest(req, res, url)) return;
+    // Daily token usage and estimated cost per profile: /usage?date=YYYY-MM-DD (default today), SUPERVISOR_TOKEN required
+    if (url.pathname === '/usage') {
+      if (!authorizeSupervisor(req, res, url)) return;
+      getDailyUsage(url.searchParams.get('date') || undefined).then((totals) => {
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(totals));
+      }, (e) => {
+        res.writeHead(400, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ error: e.message }));
+      });
+      return;
+    }
     if (req.url === '/health' || req.url === '/' || req.url === '/ready') {
       const body = JSON.stringify({
         status: 'ok',
@@ -27,7 +45,8 @@ function maybeStartHealthServer() {
         heapUsed_mb: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
         ariConnected: !!ariClient, // presence only; ARI lifecycle is managed in asterisk.js
         pid: process.pid,
-        started
+        started,
+        playout: getPlayoutStats()
       });
       res.writeHead(200, { 'content-type': 'application/json' });
       res.end(body);
@@ -38,7 +57,7 @@ function maybeStartHealthServer() {
   });
 
   server.listen(port, () => {
-    logger.info(`Health server listening on 0.0.0.0:${port} (paths: /health, /ready)`);
+    logger.info(`Health server listening on 0.0.0.0:${port} (paths: /health, /ready, /usage, /events)`);
   });
 
   server.on('error', (err) => {
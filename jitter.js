@@ -0,0 +1,212 @@
+// jitter.js
+// Per-call inbound RTP jitter buffer. Frames are released in sequence order as
+// soon as they are contiguous, so a clean stream adds no delay. When a frame is
+// missing, later frames are held until the gap is older than the adaptive depth
+// (derived from the RFC 3550 interarrival jitter), then the gap is concealed by
+// repeating the last frame once and filling the rest with silence.
+
+const { logger } = require('./config');
+
+const SEQ_MOD = 65536;
+const RESYNC_DISTANCE = 3000; // a jump this large means a new stream, not loss
+const RECENT_SEQS = 128;      // played seqs remembered to tell duplicates from late packets
+
+/** Signed distance a - b on the 16-bit sequence circle. */
+function seqDistance(a, b) {
+  const d = (a - b + SEQ_MOD) % SEQ_MOD;
+  return d >= SEQ_MOD / 2 ? d - SEQ_MOD : d;
+}
+
+/**
+ * Parse an RTP packet (RFC 3550), skipping CSRCs, header extension and padding.
+ * @returns {{ seq: number, timestamp: number, ssrc: number, payloadType: number, payload: Buffer }|null}
+ */
+function parseRtpPacket(msg) {
+  if (msg.length < 12 || (msg[0] >> 6) !== 2) return null;
+  const padding = (msg[0] & 0x20) !== 0;
+  const extension = (msg[0] & 0x10) !== 0;
+  const csrcCount = msg[0] & 0x0F;
+  let offset = 12 + csrcCount * 4;
+  if (extension) {
+    if (msg.length < offset + 4) return null;
+    offset += 4 + msg.readUInt16BE(offset + 2) * 4;
+  }
+  let end = msg.length;
+  if (padding) end -= msg[msg.length - 1];
+  if (offset > end) return null;
+  return {
+    payloadType: msg[1] & 0x7F,
+    seq: msg.readUInt16BE(2),
+    timestamp: msg.readUInt32BE(4),
+    ssrc: msg.readUInt32BE(8),
+    payload: msg.subarray(offset, end)
+  };
+}
+
+/**
+ * @param {Object}   p
+ * @param {string}   p.channelId
+ * @param {Function} p.onFrame        - (payload: Buffer) => void, called in playout order
+ * @param {number}   p.minDelayMs     - smallest hold time before a gap is declared lost
+ * @param {number}   p.maxDelayMs     - largest hold time; also the idle flush timeout
+ * @param {number}   p.maxConcealMs   - longer gaps are skipped instead of filled
+ * @param {number}   [p.bytesPerMs=8] - payload bytes per millisecond (8 for G.711, 32 for slin16)
+ * @param {number}   [p.clockRate=8000]
+ * @param {number}   [p.silenceByte=0x7F] - fill byte for concealed frames (ulaw silence by default)
+ */
+function createJitterBuffer({ channelId, onFrame, minDelayMs, maxDelayMs, maxConcealMs, bytesPerMs = 8, clockRate = 8000, silenceByte = 0x7F }) {
+  const pending = new Map(); // seq ⇒ payload
+  const recent = new Set();
+  const recentOrder = [];
+  let expectedSeq = null;
+  let ssrc = null;
+  let lastFrame = null;
+  let frameMs = 20;
+  let jitterMs = 0;
+  let lastTransit = null;
+  let concealRun = 0;
+  let idleTimer = null;
+  let closed = false;
+
+  const stats = { received: 0, played: 0, duplicate: 0, late: 0, reordered: 0, lost: 0, concealed: 0, resync: 0, maxDepth: 0 };
+
+  function remember(seq) {
+    recent.add(seq);
+    recentOrder.push(seq);
+    if (recentOrder.length > RECENT_SEQS) recent.delete(recentOrder.shift());
+  }
+
+  function emit(seq, payload) {
+    remember(seq);
+    lastFrame = payload;
+    concealRun = 0;
+    stats.played++;
+    onFrame(payload);
+  }
+
+  /** Fill one missing frame: repeat the previous frame once, then silence. */
+  function conceal() {
+    stats.lost++;
+    stats.concealed++;
+    const size = lastFrame ? lastFrame.length : frameMs * bytesPerMs;
+    onFrame(concealRun === 0 && lastFrame ? lastFrame : Buffer.alloc(size, silenceByte));
+    concealRun++;
+  }
+
+  /** Frames held before the oldest gap counts as lost. */
+  function targetDepth() {
+    const delayMs = Math.min(maxDelayMs, Math.max(minDelayMs, 2 * jitterMs + frameMs));
+    return Math.max(1, Math.round(delayMs / frameMs));
+  }
+
+  function earliestPending() {
+    let best = null;
+    for (const seq of pending.keys()) {
+      if (best === null || seqDistance(seq, best) < 0) best = seq;
+    }
+    return best;
+  }
+
+  /** Skip (or conceal) the gap in front of the next held frame. */
+  function closeGap() {
+    const next = earliestPending();
+    const gap = seqDistance(next, expectedSeq);
+    if (gap * frameMs > maxConcealMs) {
+      stats.lost += gap;
+      logger.debug(`Jitter buffer for ${channelId}: skipping ${gap} lost frame(s) at seq ${expectedSeq}`);
+      expectedSeq = next;
+      return;
+    }
+    conceal();
+    expectedSeq = (expectedSeq + 1) % SEQ_MOD;
+  }
+
+  function drain(force = false) {
+    for (;;) {
+      while (pending.has(expectedSeq)) {
+        const payload = pending.get(expectedSeq);
+        pending.delete(expectedSeq);
+        emit(expectedSeq, payload);
+        expectedSeq = (expectedSeq + 1) % SEQ_MOD;
+      }
+      if (!pending.size || (!force && pending.size < targetDepth())) return;
+      closeGap();
+    }
+  }
+
+  function updateJitter(timestamp) {
+    // RFC 3550 §6.4.1: J += (|D| - J) / 16, in ms
+    const transit = Date.now() - (timestamp * 1000) / clockRate;
+    if (lastTransit !== null) {
+      const d = Math.abs(transit - lastTransit);
+      if (d < 1000) jitterMs += (d - jitterMs) / 16;
+    }
+    lastTransit = transit;
+  }
+
+  function armIdleFlush() {
+    clearTimeout(idleTimer);
+    // Sender went quiet with frames still held: play them rather than wait for more
+    idleTimer = setTimeout(() => { if (!closed && pending.size) drain(true); }, maxDelayMs);
+  }
+
+  function resync(seq, why) {
+    if (expectedSeq !== null) {
+      stats.resync++;
+      logger.info(`Jitter buffer for ${channelId} resynchronised (${why})`);
+    }
+    drain(true);
+    pending.clear();
+    expectedSeq = seq;
+    lastTransit = null;
+  }
+
+  function snapshot() {
+    return { ...stats, jitterMs: Number(jitterMs.toFixed(2)), depthFrames: targetDepth() };
+  }
+
+  return {
+    /** Feed one received RTP packet, as returned by parseRtpPacket. */
+    push(pkt) {
+      if (closed || !pkt || !pkt.payload.length) return;
+      stats.received++;
+      if (pkt.payload.length) frameMs = Math.max(1, Math.round(pkt.payload.length / bytesPerMs));
+
+      if (ssrc !== pkt.ssrc) {
+        resync(pkt.seq, `SSRC ${ssrc} ⇒ ${pkt.ssrc}`);
+        ssrc = pkt.ssrc;
+      }
+      const d = seqDistance(pkt.seq, expectedSeq);
+      if (Math.abs(d) > RESYNC_DISTANCE) {
+        resync(pkt.seq, `sequence jump ${expectedSeq} ⇒ ${pkt.seq}`);
+      } else if (d < 0) {
+        if (recent.has(pkt.seq)) stats.duplicate++;
+        else stats.late++;
+        return;
+      } else if (pending.has(pkt.seq)) {
+        stats.duplicate++;
+        return;
+      } else if ([...pending.keys()].some(seq => seqDistance(seq, pkt.seq) > 0)) {
+        stats.reordered++; // fills a gap in front of frames already held
+      }
+      updateJitter(pkt.timestamp);
+      pending.set(pkt.seq, pkt.payload);
+      stats.maxDepth = Math.max(stats.maxDepth, pending.size);
+      drain();
+      armIdleFlush();
+    },
+    /** Current counters (also logged on close). */
+    stats: snapshot,
+    /** Play out whatever is held and stop. */
+    close() {
+      if (closed) return;
+      clearTimeout(idleTimer);
+      drain(true);
+      closed = true;
+      const s = snapshot();
+      logger.info(`Inbound RTP for ${channelId}: received=${s.received} played=${s.played} lost=${s.lost} concealed=${s.concealed} late=${s.late} duplicate=${s.duplicate} reordered=${s.reordered} jitter=${s.jitterMs}ms maxDepth=${s.maxDepth}`);
+    }
+  };
+}
+
+module.exports = { createJitterBuffer, parseRtpPacket };
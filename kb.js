@@ -0,0 +1,148 @@
+// kb.js
+// Offline knowledge base: indexes the markdown/text files under KB_DIR into
+// heading/paragraph chunks and ranks them with BM25. The index is rebuilt when
+// files are added, removed or modified (checked at most every KB_RESCAN_SECONDS).
+
+const fs = require('fs');
+const path = require('path');
+const { config, logger } = require('./config');
+
+logger.info('Loading kb.js module');
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+let index = null;      // { chunks, df, avgLen }
+let signature = '';    // file list + mtimes the index was built from
+let lastScan = 0;
+
+/** Lowercase words without diacritics, so "awaria" matches "Awarią". */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/ł/g, 'l')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(t => t.length > 1);
+}
+
+function listFiles(dir) {
+  const out = [];
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    logger.warn(`Knowledge base directory ${dir} not readable: ${e.message}`);
+    return out;
+  }
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) out.push(...listFiles(full));
+    else if (config.KB_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) out.push(full);
+  }
+  return out;
+}
+
+/** Split a document into chunks: a new chunk at every markdown heading or when KB_CHUNK_CHARS is reached. */
+function chunkDocument(source, text) {
+  const chunks = [];
+  let heading = path.basename(source, path.extname(source));
+  let paras = [];
+  let para = [];
+  const endPara = () => {
+    if (!para.length) return;
+    const p = para.join('\n');
+    para = [];
+    if (paras.join('\n\n').length + p.length > config.KB_CHUNK_CHARS) flush();
+    paras.push(p);
+  };
+  const flush = () => {
+    const body = paras.join('\n\n').trim();
+    if (body) chunks.push({ source, title: heading, text: body });
+    paras = [];
+  };
+  for (const line of text.split('\n')) {
+    const h = line.match(/^#{1,6}\s+(.+)$/);
+    if (h) {
+      endPara();
+      flush();
+      heading = h[1].trim();
+    } else if (!line.trim()) {
+      endPara();
+    } else {
+      para.push(line.trim());
+    }
+  }
+  endPara();
+  flush();
+  return chunks;
+}
+
+function buildIndex(files) {
+  const chunks = [];
+  for (const file of files) {
+    try {
+      const source = path.relative(config.KB_DIR, file);
+      chunks.push(...chunkDocument(source, fs.readFileSync(file, 'utf8')));
+    } catch (e) {
+      logger.warn(`Knowledge base file ${file} skipped: ${e.message}`);
+    }
+  }
+  const df = new Map();
+  let totalLen = 0;
+  for (const chunk of chunks) {
+    // The heading counts as part of the chunk, so "opening hours" finds the "## Opening hours" section
+    const tokens = tokenize(`${chunk.title} ${chunk.text}`);
+    chunk.length = tokens.length;
+    chunk.tf = new Map();
+    for (const t of tokens) chunk.tf.set(t, (chunk.tf.get(t) || 0) + 1);
+    for (const t of chunk.tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+    totalLen += tokens.length;
+  }
+  return { chunks, df, avgLen: chunks.length ? totalLen / chunks.length : 0 };
+}
+
+/** (Re)build the index if the files under KB_DIR changed since the last scan. */
+function refresh() {
+  if (index && Date.now() - lastScan < config.KB_RESCAN_SECONDS * 1000) return index;
+  lastScan = Date.now();
+  const files = listFiles(config.KB_DIR).sort();
+  const sig = files.map((f) => {
+    try { return `${f}:${fs.statSync(f).mtimeMs}`; } catch (_) { return f; }
+  }).join('|');
+  if (index && sig === signature) return index;
+  index = buildIndex(files);
+  signature = sig;
+  logger.info(`Knowledge base indexed: ${files.length} file(s), ${index.chunks.length} chunk(s) from ${config.KB_DIR}`);
+  return index;
+}
+
+/**
+ * BM25 search over the knowledge base.
+ * @param {string} query
+ * @param {number} [limit=KB_TOP_K]
+ * @returns {{ source: string, title: string, score: number, text: string }[]}
+ */
+function searchKnowledgeBase(query, limit = config.KB_TOP_K) {
+  const { chunks, df, avgLen } = refresh();
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length || !chunks.length) return [];
+  const n = chunks.length;
+  const results = [];
+  for (const chunk of chunks) {
+    let score = 0;
+    for (const t of terms) {
+      const tf = chunk.tf.get(t);
+      if (!tf) continue;
+      const idf = Math.log(1 + (n - df.get(t) + 0.5) / (df.get(t) + 0.5));
+      score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * chunk.length / (avgLen || 1)));
+    }
+    if (score > 0 && score >= config.KB_MIN_SCORE) {
+      results.push({ source: chunk.source, title: chunk.title, score: Number(score.toFixed(3)), text: chunk.text });
+    }
+  }
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+module.exports = { searchKnowledgeBase };
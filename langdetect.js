@@ -0,0 +1,68 @@
+// langdetect.js
+// Offline caller-language guess from short transcripts: script and diacritics
+// first, then common function words. Only languages in the allowed list compete.
+
+// Letters that (almost) only one of our candidate languages uses
+const SIGNATURE_CHARS = {
+  pl: /[ąćęłńśźż]/g,
+  uk: /[іїєґ]/g,
+  ru: /[ыэъё]/g,
+  de: /[äöüß]/g,
+  cs: /[ěřůťď]/g,
+  sk: /[ľĺŕô]/g,
+  es: /[ñ¿¡]/g,
+  fr: /[àâçèêëîïôœùûÿ]/g,
+  it: /[àèéìòù]/g
+};
+
+const CYRILLIC = /[Ѐ-ӿ]/g;
+const CYRILLIC_LANGS = new Set(['uk', 'ru', 'be', 'bg', 'sr', 'mk']);
+
+const STOPWORDS = {
+  en: 'the and you is are to of it that in have for not with this what my can yes no please hello thank thanks',
+  pl: 'i w nie na to że się jest z do jak ale mam tak co proszę dzień dobry dziękuję czy mój moja mnie jestem',
+  de: 'und ich ist nicht das die der zu ein es mit sie ja nein bitte danke hallo mein haben',
+  uk: 'і що не на це так як я в та у мене є будь ласка дякую добрий день мій моя',
+  ru: 'и что не на это так как я в у меня есть пожалуйста спасибо добрый день мой моя',
+  cs: 'a je se na to že jak ale mám ano ne prosím děkuji dobrý den můj moje',
+  sk: 'a je sa na to že ako ale mám áno nie prosím ďakujem dobrý deň môj moja',
+  es: 'el la de que y en no es por con para sí hola gracias mi tengo',
+  fr: 'le la de et est je pas que en un une oui non bonjour merci mon ma',
+  it: 'il la di che e non è per con sì ciao grazie mio mia ho sono'
+};
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([lang, words]) => [lang, new Set(words.split(' '))])
+);
+
+/**
+ * Score text against the allowed languages.
+ * @param {string}   text
+ * @param {string[]} allowed - ISO-639-1 codes
+ * @returns {{ language: string|null, score: number, margin: number }}
+ */
+function detectLanguage(text, allowed) {
+  const lower = String(text || '').toLowerCase().normalize('NFC');
+  const words = lower.split(/[^\p{L}']+/u).filter(Boolean);
+  const cyrillicShare = words.length ? (lower.match(CYRILLIC) || []).length / lower.replace(/\s/g, '').length : 0;
+
+  const scores = allowed.map((lang) => {
+    let score = 0;
+    const sig = SIGNATURE_CHARS[lang];
+    if (sig) score += 2 * (lower.match(sig) || []).length;
+    const stop = STOPWORD_SETS[lang];
+    if (stop) score += words.filter(w => stop.has(w)).length;
+    // Script mismatch rules a language out quickly
+    if (CYRILLIC_LANGS.has(lang)) score += cyrillicShare > 0.5 ? 2 : -5;
+    else if (cyrillicShare > 0.5) score -= 5;
+    return { lang, score };
+  }).sort((a, b) => b.score - a.score);
+
+  if (!scores.length || scores[0].score <= 0) return { language: null, score: 0, margin: 0 };
+  return {
+    language: scores[0].lang,
+    score: scores[0].score,
+    margin: scores[0].score - (scores[1] ? Math.max(scores[1].score, 0) : 0)
+  };
+}
+
+module.exports = { detectLanguage };
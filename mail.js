@@ -33,8 +33,12 @@ function buildTransport() {
  * @param {string} [p.callerId]  - caller number/name for subject/body
  * @param {string} p.filePath    - absolute path to transcript file
  * @param {string} [p.reason]    - reason for call end, for logging/body
+ * @param {string} [p.to]        - comma-separated recipients (profile override of EMAIL_TO)
+ * @param {string} [p.profileName] - assistant profile, for subject/body ({{profile}})
+ * @param {string[]} [p.attachments] - extra files to attach (e.g. the .ticket.json, the call recording)
+ * @param {string[]} [p.notes] - extra lines appended to the body (e.g. a recording link)
  */
-async function sendTranscriptEmail({ channelId, callerId = 'unknown', filePath, reason = '' }) {
+async function sendTranscriptEmail({ channelId, callerId = 'unknown', filePath, reason = '', to: toList, profileName = 'default', attachments = [], notes = [] }) {
   if (!config.EMAIL_ENABLED) {
     logger.debug(`Email disabled; skipping send for ${channelId}`);
     return;
@@ -45,35 +49,42 @@ async function sendTranscriptEmail({ channelId, callerId = 'unknown', filePath,
     return;
   }
 
-  const to = (config.EMAIL_TO || '').split(',').map(s => s.trim()).filter(Boolean);
+  const to = (toList || config.EMAIL_TO || '').split(',').map(s => s.trim()).filter(Boolean);
   if (!to.length) {
     throw new Error('EMAIL_TO is empty in config.conf');
   }
 
-  // Simple subject/body templating ({{callerId}}, {{channelId}}, {{reason}})
+  // Simple subject/body templating ({{callerId}}, {{channelId}}, {{reason}}, {{profile}})
   const subject = (config.EMAIL_SUBJECT_TEMPLATE ||
     'SQS — Conversation transcript {{callerId}} ({{channelId}})')
     .replace('{{callerId}}', callerId)
-    .replace('{{channelId}}', channelId);
+    .replace('{{channelId}}', channelId)
+    .replace('{{profile}}', profileName);
 
   const body = (config.EMAIL_BODY_TEMPLATE ||
     'Attached is the conversation transcript.\n\nCaller: {{callerId}}\nChannel: {{channelId}}\nReason: {{reason}}\n')
     .replace('{{callerId}}', callerId)
     .replace('{{channelId}}', channelId)
-    .replace('{{reason}}', reason || 'n/a');
+    .replace('{{reason}}', reason || 'n/a')
+    .replace('{{profile}}', profileName);
 
   const transporter = buildTransport();
   const info = await transporter.sendMail({
     from: config.EMAIL_FROM || config.SMTP_USER,
     to,
     subject,
-    text: body,
+    text: notes.length ? `${body}\n${notes.join('\n')}\n` : body,
     attachments: [
       {
         filename: path.basename(filePath),
         path: filePath,
         contentType: 'text/plain'
-      }
+      },
+      ...attachments.filter(f => fs.existsSync(f)).map(f => ({
+        filename: path.basename(f),
+        path: f,
+        contentType: f.endsWith('.json') ? 'application/json' : f.endsWith('.wav') ? 'audio/wav' : 'application/octet-stream'
+      }))
     ]
   });
 
@@ -0,0 +1,154 @@
+// network.js
+// RTP addressing for Asterisk on the same box or on another host, over IPv4 or IPv6:
+// socket family for the bind address, host:port formatting for external_host, and the
+// check of inbound RTP/RTCP sources. Allowed sources come from RTP_ALLOWED_SOURCES, or
+// default to the addresses of the ARI_URL host (plus this host's own addresses when
+// ARI is on loopback, since a local Asterisk may send from any local interface).
+
+const dns = require('dns');
+const net = require('net');
+const os = require('os');
+const { config, logger } = require('./config');
+
+logger.info('Loading network.js module');
+
+const WILDCARDS = ['0.0.0.0', '::'];
+
+let allowedSources = null; // Set of normalized addresses; null = every source is accepted
+
+/**
+ * IPv4-mapped IPv6 (from a dual-stack socket) ⇒ plain IPv4; IPv6 in lower case. Used for
+ * every comparison, so ::ffff:a.b.c.d senders match a.b.c.d allow-list entries and vice versa.
+ */
+function normalizeAddress(address) {
+  const a = String(address || '').toLowerCase().replace(/^\[|\]$/g, '');
+  return a.startsWith('::ffff:') && net.isIPv4(a.slice(7)) ? a.slice(7) : a;
+}
+
+function sameAddress(a, b) {
+  return normalizeAddress(a) === normalizeAddress(b);
+}
+
+const isWildcard = (address) => WILDCARDS.includes(address);
+
+/** dgram socket type for a socket bound to this address. */
+function socketTypeFor(address) {
+  return net.isIPv6(address) ? 'udp6' : 'udp4';
+}
+
+/** dgram socket type for the RTP/RTCP receivers (the bind address decides the family). */
+function rtpSocketType() {
+  return socketTypeFor(config.RTP_BIND_ADDRESS);
+}
+
+/**
+ * Local address the RTP sender binds to: RTP_BIND_ADDRESS, or with a wildcard bind the
+ * advertised address when it is one of this host's (so Asterisk sees media come from
+ * where it sends to); otherwise the wildcard itself.
+ */
+function senderBindAddress() {
+  if (!isWildcard(config.RTP_BIND_ADDRESS)) return config.RTP_BIND_ADDRESS;
+  const advertised = normalizeAddress(config.RTP_ADVERTISE_ADDRESS);
+  if (net.isIP(advertised) && localAddresses().includes(advertised)) return advertised;
+  return config.RTP_BIND_ADDRESS;
+}
+
+/**
+ * A destination in the form a sender bound to bindAddress takes it (IPv4-mapped through a
+ * dual-stack socket), or null when that socket cannot reach it (other address family).
+ */
+function destinationFor(bindAddress, address) {
+  const a = normalizeAddress(address);
+  if (!net.isIPv6(bindAddress)) return net.isIPv4(a) ? a : null;
+  if (bindAddress === '::') return net.isIPv4(a) ? `::ffff:${a}` : a;
+  return net.isIPv6(a) ? a : null;
+}
+
+/** Loopback of the bind address's family (placeholder destination before Asterisk is heard). */
+function loopbackFor(bindAddress) {
+  return net.isIPv6(bindAddress) ? '::1' : '127.0.0.1';
+}
+
+/** "host:port", with IPv6 literals in brackets. */
+function hostPort(address, port) {
+  return net.isIPv6(address) ? `[${address}]:${port}` : `${address}:${port}`;
+}
+
+/** Where Asterisk sends the call's RTP (ExternalMedia external_host). */
+function advertisedRtpHost(port) {
+  return hostPort(config.RTP_ADVERTISE_ADDRESS, port);
+}
+
+function isLoopback(address) {
+  const a = normalizeAddress(address);
+  return a === '::1' || a.startsWith('127.');
+}
+
+function localAddresses() {
+  return Object.values(os.networkInterfaces()).flat().filter(Boolean).map(i => normalizeAddress(i.address));
+}
+
+/**
+ * Work out which addresses may send RTP (call once at startup, before calls arrive).
+ * Hostnames in RTP_ALLOWED_SOURCES and ARI_URL are resolved now, not per packet.
+ */
+async function resolveAllowedSources() {
+  if (config.RTP_ALLOWED_SOURCES.includes('*')) {
+    allowedSources = null;
+    logger.warn('RTP_ALLOWED_SOURCES=*: RTP and RTCP are accepted from any address');
+    return null;
+  }
+  let hosts = config.RTP_ALLOWED_SOURCES;
+  if (!hosts.length) {
+    try {
+      hosts = [new URL(config.ARI_URL).hostname];
+    } catch (e) {
+      logger.warn(`ARI_URL "${config.ARI_URL}" not parsable (${e.message}); RTP sources are not checked`);
+      allowedSources = null;
+      return null;
+    }
+  }
+  const resolved = new Set();
+  for (const host of hosts) {
+    const name = host.replace(/^\[|\]$/g, '');
+    if (net.isIP(name)) {
+      resolved.add(normalizeAddress(name));
+      continue;
+    }
+    try {
+      for (const { address } of await dns.promises.lookup(name, { all: true })) resolved.add(normalizeAddress(address));
+    } catch (e) {
+      logger.warn(`RTP source host ${name} did not resolve: ${e.message}`);
+    }
+  }
+  if ([...resolved].some(isLoopback)) {
+    for (const a of localAddresses()) resolved.add(a);
+  }
+  if (!resolved.size) {
+    logger.warn('No allowed RTP source address could be resolved; RTP sources are not checked');
+    allowedSources = null;
+    return null;
+  }
+  allowedSources = resolved;
+  logger.info(`RTP accepted from: ${[...resolved].join(', ')}`);
+  return [...resolved];
+}
+
+/** True when RTP/RTCP from this address is acceptable. */
+function isAllowedSource(address) {
+  return !allowedSources || allowedSources.has(normalizeAddress(address));
+}
+
+module.exports = {
+  normalizeAddress,
+  sameAddress,
+  rtpSocketType,
+  socketTypeFor,
+  senderBindAddress,
+  destinationFor,
+  loopbackFor,
+  hostPort,
+  advertisedRtpHost,
+  resolveAllowedSources,
+  isAllowedSource
+};
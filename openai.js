@@ -3,71 +3,31 @@ const { v4: uuid } = require('uuid');
 const { config, logger, logClient, logOpenAI } = require('./config');
 const { sipMap, cleanupPromises } = require('./state');
 const { streamAudio, rtpEvents } = require('./rtp');
-const fs = require('fs');
-const path = require('path');
-
-// --- transcript helpers ---
-function safeCallerId(channelId) {
-  const info = sipMap.get(channelId);
-  let cid = info?.callerId;
-  if (typeof cid === 'object' && cid) {
-    cid = cid.number || cid.name || cid.id;
-  }
-  cid = (cid || '').toString().trim();
-  cid = cid.replace(/[^\d+]/g, '');
-  return cid || 'unknown';
-}
-
-function ensureDailyDir() {
-  const root = config.RECORDINGS_DIR || '/var/spool/asterisk/monitor';
-  const now = new Date();
-  const yyyy = String(now.getFullYear());
-  const mm = String(now.getMonth() + 1).padStart(2, '0');
-  const dd = String(now.getDate()).padStart(2, '0');
-  const dir = path.join(root, yyyy, mm, dd);
-  try {
-    fs.mkdirSync(dir, { recursive: true });
-  } catch (e) {
-    logger.error(`Failed to create transcripts dir ${dir}: ${e.message}`);
-  }
-  return dir;
-}
-
-function transcriptPath(channelId) {
-  const dir = ensureDailyDir();
-  const callerId = safeCallerId(channelId);
-  return path.join(dir, `conversation-${callerId}-${channelId}.txt`);
-}
-
-// Log the path once per file to make debugging easier
-const _loggedTranscriptPath = new Set();
-
-function appendTranscript(channelId, who, text) {
-  if (!text || !text.trim()) return;
-  try {
-    const file = transcriptPath(channelId);
-    const line = `${new Date().toISOString()} ${who}: ${text}\n`;
-    fs.appendFile(file, line, (err) => {
-      if (err) {
-        logger.error(`Failed to write transcript for ${channelId}: ${err.message}`);
-      } else if (!_loggedTranscriptPath.has(file)) {
-        _loggedTranscriptPath.add(file);
-        logger.info(`Transcript file path for ${channelId}: ${file}`);
-      }
-    });
-  } catch (e) {
-    logger.error(`Transcript write error for ${channelId}: ${e.message}`);
-  }
-}
+const { senderBindAddress, loopbackFor } = require('./network');
+const { getToolDefinitions, invokeTool } = require('./tools');
+const { defaultProfile } = require('./profiles');
+const { formatCallerFacts } = require('./directory');
+const { createInactivityMonitor } = require('./inactivity');
+const { detectLanguage } = require('./langdetect');
+const { renderSystemPrompt, renderInitialMessage } = require('./prompts');
+const { recordRealtimeUsage } = require('./usage');
+const { publishCallEvent } = require('./events');
+const { createMediaCodec } = require('./codec');
+const { createFillerSource } = require('./filler');
+const { transcriptPath, appendTranscript, writeTranscriptHeader, setTranscriptHeaderField } = require('./transcript');
 
 logger.info('Loading openai.js module');
 
 /**
  * Normalize/validate turn detection settings so we never send invalid values.
- * Only 'server_vad' and 'semantic_vad' are accepted by the API.
+ * Only 'server_vad' and 'semantic_vad' are accepted by the API; 'manual' turns
+ * server turn detection off (the local VAD in uplink.js commits turns instead).
+ * @param {Object} profile - call profile (falls back to global config values)
+ * @returns {Object|null}
  */
-function normalizeTurnDetection() {
-  const rawType = String(config.VAD_TYPE || 'server_vad').toLowerCase();
+function normalizeTurnDetection(profile = config) {
+  const rawType = String(profile.VAD_TYPE || 'server_vad').toLowerCase();
+  if (rawType === 'manual') return null;
   const type = (rawType === 'server_vad' || rawType === 'semantic_vad') ? rawType : 'server_vad';
 
   // Common numeric guards
@@ -76,20 +36,81 @@ function normalizeTurnDetection() {
     return Number.isFinite(n) ? n : def;
   };
 
+  // With BARGE_IN_MODE none/guarded the uplink decides when the caller may interrupt
+  const interrupt = profile.BARGE_IN_MODE === 'full' ? {} : { interrupt_response: false };
+
   if (type === 'semantic_vad') {
     // semantic_vad does not use threshold/padding/silence knobs
-    return { type: 'semantic_vad' };
+    return { type: 'semantic_vad', ...interrupt };
   }
 
   // server_vad defaults
   return {
     type: 'server_vad',
-    threshold: num(config.VAD_THRESHOLD, 0.6),
-    prefix_padding_ms: num(config.VAD_PREFIX_PADDING_MS, 200),
-    silence_duration_ms: num(config.VAD_SILENCE_DURATION_MS, 600),
+    threshold: num(profile.VAD_THRESHOLD, 0.6),
+    prefix_padding_ms: num(profile.VAD_PREFIX_PADDING_MS, 200),
+    silence_duration_ms: num(profile.VAD_SILENCE_DURATION_MS, 600),
+    ...interrupt,
   };
 }
 
+// Error codes that follow from racing the server during barge-in; not worth dropping the session for
+const BENIGN_ERROR_CODES = new Set(['response_cancel_not_active']);
+
+// WebSocket close codes of a transport failure (going away, abnormal, server error/restart/overload):
+// worth a resume. Any other close (normal, policy, our own close after an API error) is final.
+const RESUMABLE_CLOSE_CODES = new Set([1001, 1006, 1011, 1012, 1013, 1014]);
+
+// Out-of-band text requests waiting for their response.done, keyed by metadata.oob_id
+const pendingOutOfBand = new Map();
+
+function resolveOutOfBand(resp) {
+  const pending = pendingOutOfBand.get(resp.metadata.oob_id);
+  if (!pending) return;
+  pendingOutOfBand.delete(resp.metadata.oob_id);
+  clearTimeout(pending.timer);
+  if (resp.status !== 'completed') {
+    pending.reject(new Error(`out-of-band response ${resp.status}`));
+    return;
+  }
+  const text = (resp.output || [])
+    .flatMap(item => item.content || [])
+    .map(c => c.text || c.transcript || '')
+    .join('');
+  pending.resolve(text);
+}
+
+/**
+ * Ask the live session for a text-only answer outside the conversation
+ * (conversation: 'none'), with the conversation so far as context.
+ * Nothing is spoken to the caller and no item is added to the conversation.
+ * @returns {Promise<string>} the response text
+ */
+function requestOutOfBandText(channelId, instructions, timeoutMs = 10000) {
+  const ws = sipMap.get(channelId)?.ws;
+  if (!ws || ws.readyState !== WebSocket.OPEN) {
+    return Promise.reject(new Error(`No open OpenAI session for ${channelId}`));
+  }
+  const oobId = uuid().replace(/-/g, '').substring(0, 16);
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingOutOfBand.delete(oobId);
+      reject(new Error(`out-of-band response timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+    pendingOutOfBand.set(oobId, { resolve, reject, timer });
+    ws.send(JSON.stringify({
+      type: 'response.create',
+      response: {
+        conversation: 'none',
+        metadata: { oob_id: oobId },
+        modalities: ['text'],
+        instructions
+      }
+    }));
+    logClient(`Requested out-of-band text response ${oobId} for ${channelId}`);
+  });
+}
+
 /**
  * Wait until our RTP sender queue is flushed (or a timeout elapses).
  */
@@ -102,12 +123,13 @@ async function waitForBufferEmpty(channelId, maxWaitTime = 6000, checkInterval =
   const streamHandler = channelData.streamHandler;
   const startWaitTime = Date.now();
 
+  const bytesPerMs = channelData.media ? channelData.media.realtimeBytesPerMs : 8;
   let audioDurationMs = 1000; // Default minimum
   if (channelData.totalDeltaBytes) {
-    audioDurationMs = Math.ceil((channelData.totalDeltaBytes / 8000) * 1000) + 500; // audio len + margin
+    audioDurationMs = Math.ceil(channelData.totalDeltaBytes / bytesPerMs) + 500; // audio len + margin
   }
   const dynamicTimeout = Math.min(audioDurationMs, maxWaitTime);
-  logOpenAI(`Using dynamic timeout of ${dynamicTimeout}ms for ${channelId} (estimated audio duration: ${(channelData.totalDeltaBytes || 0) / 8000}s)`, 'info');
+  logOpenAI(`Using dynamic timeout of ${dynamicTimeout}ms for ${channelId} (estimated audio duration: ${(channelData.totalDeltaBytes || 0) / bytesPerMs / 1000}s)`, 'info');
 
   let audioFinishedReceived = false;
   const audioFinishedPromise = new Promise((resolve) => {
@@ -170,6 +192,15 @@ async function startOpenAIWebSocket(channelId, hooks = {}) {
   if (!channelData) {
     throw new Error(`Channel ${channelId} not found in sipMap`);
   }
+  const profile = channelData.profile || defaultProfile;
+  // Asterisk-side codec and the matching Realtime audio format
+  const media = channelData.media || (channelData.media = createMediaCodec(profile.AUDIO_CODEC));
+  const deltaSeconds = (bytes) => (bytes / media.realtimeBytesPerMs / 1000).toFixed(2);
+  // Rendered once per call (template files may change underneath); a resumed session reuses them
+  if (channelData.systemPrompt === undefined) {
+    channelData.systemPrompt = renderSystemPrompt(profile, channelData.promptVars || {});
+    channelData.initialMessage = renderInitialMessage(profile, channelData.promptVars || {});
+  }
 
   let ws;
   let streamHandler = null;
@@ -187,8 +218,38 @@ async function startOpenAIWebSocket(channelId, hooks = {}) {
   // --- graceful terminate flags / guards ---
   let terminateRequested = false;
   let terminateReason = null;
+  let terminateCleanupReason = null; // overrides the default "assistant-terminate:<reason>" cleanup reason
   let terminationInFlight = false;
   let terminationWatchdogStarted = false;
+  let terminationWatchdog = null;
+
+  // --- redirect / tool-call guards ---
+  let redirectRequested = false;
+  let redirectPending = null; // reason of a tool-requested handoff waiting for response.done
+  let followUpPending = false; // response.create owed once the active response is done (tool output, wrap-up)
+  let toolCallsRunning = 0;    // tool handlers still working; the response they belong to settles when they finish
+
+  // --- barge-in bookkeeping ---
+  const interruptedItems = new Set(); // assistant items truncated by the caller
+  const transcribedItems = new Set(); // assistant items already written to the transcript
+  const controlEventIds = new Set();  // event_ids of our cancel/truncate events
+
+  // Audio of the last completed assistant turn, replayed on request (DTMF "repeat")
+  let currentTurnAudio = [];
+  let lastTurnAudio = null;
+
+  // --- caller language (TRANSCRIPTION_LANGUAGE=auto detects it from the first transcripts) ---
+  const autoLanguage = String(profile.TRANSCRIPTION_LANGUAGE || '').toLowerCase() === 'auto';
+  let language = channelData.language || { code: autoLanguage ? null : (profile.TRANSCRIPTION_LANGUAGE || 'en'), detected: false };
+  const languageSamples = [];
+
+  // --- thinking-time filler (FILLER_TYPE) ---
+  let fillerTimer = null;
+
+  // --- mid-call resume ---
+  let sessionEstablished = false; // greeting sent at least once; later drops resume instead of re-greeting
+  let resumeTimer = null;
+  let resumeAbandoned = false;
 
   /** Idempotent finalizer that cleans up the call once playback is fully flushed. */
   const finalizeAndTerminate = async () => {
@@ -203,17 +264,299 @@ async function startOpenAIWebSocket(channelId, hooks = {}) {
     } finally {
       try {
         if (typeof onTerminateRequest === 'function') {
-          onTerminateRequest(channelId, terminateReason || 'agent-terminate');
+          onTerminateRequest(channelId, terminateReason || 'agent-terminate', terminateCleanupReason);
         }
       } catch (e) {
         logger.warn(`onTerminateRequest failed for ${channelId}: ${e.message}`);
       } finally {
         terminateRequested = false;
         terminateReason = null;
+        terminateCleanupReason = null;
       }
     }
   };
 
+  /**
+   * Mark the call for termination once the current response has played out.
+   * Shared by the end_call tool, the AGENT_TERMINATE_PHRASES fallback and the no-input monitor.
+   * @param {string} reason          - what triggered it (phrase, tool, ...)
+   * @param {string} [cleanupReason] - cleanup reason to record instead of "assistant-terminate:<reason>"
+   */
+  const requestTerminate = (reason, cleanupReason = null) => {
+    if (terminateRequested || terminationInFlight) return;
+    terminateRequested = true;
+    terminateReason = reason;
+    terminateCleanupReason = cleanupReason;
+    inactivity.stop();
+    cancelFiller('terminating');
+    logger.info(`Termination requested ("${reason}") for ${channelId}; will terminate after playback completes`);
+
+    // Start a one-shot watchdog in case 'response.audio.done' never arrives.
+    if (!terminationWatchdogStarted) {
+      terminationWatchdogStarted = true;
+      terminationWatchdog = setTimeout(() => {
+        if (terminateRequested && !terminationInFlight) {
+          logger.warn(`Termination watchdog firing for ${channelId} — proceeding to finalize`);
+          finalizeAndTerminate();
+        }
+      }, Number(config.TERMINATION_WATCHDOG_MS || 8000)).unref();
+    }
+  };
+
+  /** Hand the call to asterisk.js for queue handoff (once per call). */
+  const requestRedirect = (reason) => {
+    if (redirectRequested) return;
+    redirectRequested = true;
+    if (typeof onRedirectRequest === 'function') {
+      // Do not set any flags in sipMap here; let asterisk.js own the redirect state.
+      onRedirectRequest(channelId, reason);
+    }
+  };
+
+  /**
+   * Execute a function call emitted by the model and return its output
+   * as a function_call_output item. Runs beside the event loop (not awaited by
+   * drainMessages), so a slow tool does not hold back audio or other events.
+   * A follow-up response (if the tool wants one) is requested once the response
+   * that made the call is done.
+   */
+  const handleFunctionCall = async (response) => {
+    const { name, call_id: callId } = response;
+    let args = {};
+    try {
+      args = response.arguments ? JSON.parse(response.arguments) : {};
+    } catch (e) {
+      logger.warn(`Invalid arguments for tool "${name}" on ${channelId}: ${e.message}`);
+    }
+    logOpenAI(`Function call for ${channelId}: ${name}(${response.arguments || ''})`, 'info');
+    appendTranscript(channelId, 'TOOL', `${name}(${response.arguments || ''})`);
+
+    const sock = ws;
+    toolCallsRunning++;
+    let result;
+    try {
+      result = await invokeTool(name, args, {
+        channelId,
+        callerId: channelData.callerId,
+        requestTerminate,
+        // Let the confirmation ("connecting you...") play before the handoff
+        requestRedirect: (reason) => { redirectPending = reason; }
+      });
+    } finally {
+      toolCallsRunning--;
+    }
+    // The call ended or the session was replaced (resume) while the tool ran: its call_id is gone
+    if (disposed || ws !== sock) return;
+
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({
+        type: 'conversation.item.create',
+        item: { type: 'function_call_output', call_id: callId, output: JSON.stringify(result.output) }
+      }));
+      logClient(`Function call output sent for ${channelId}: ${name}`);
+    }
+    if (result.followUp) followUpPending = true;
+    // The response that made the call finished while the tool ran: settle it now
+    if (!isResponseActive && !toolCallsRunning) await settleResponse('completed');
+  };
+
+  /**
+   * Act on what a finished response left behind: a tool-requested handoff or termination,
+   * a follow-up reply owed to the caller, or otherwise the start of the caller's turn.
+   * @param {string} [status] - response status; only "completed" arms the no-input monitor
+   */
+  const settleResponse = async (status) => {
+    // A tool result still owes the caller a spoken reply: keep the filler going until then
+    if (!followUpPending || redirectPending || terminateRequested) cancelFiller('response done');
+
+    // Tool-requested handoff: wait for the spoken confirmation to reach the caller
+    if (redirectPending) {
+      const reason = redirectPending;
+      redirectPending = null;
+      await waitForBufferEmpty(channelId, 8000, 10);
+      requestRedirect(reason);
+      return;
+    }
+    // Responses made only of a function call never emit response.audio.done
+    if (terminateRequested) {
+      await finalizeAndTerminate();
+      return;
+    }
+    if (followUpPending && ws && ws.readyState === WebSocket.OPEN) {
+      followUpPending = false;
+      ws.send(JSON.stringify({ type: 'response.create' }));
+      logClient(`Requested follow-up response for ${channelId}`);
+      return;
+    }
+    // Assistant turn complete: the caller's silence counts once the queued audio has played
+    if (status === 'completed') {
+      inactivity.arm(streamHandler ? streamHandler.packetQueue.length * 20 : 0);
+    }
+  };
+
+  /** Ask for a response with an extra, one-off instruction on top of the session instructions. */
+  const requestInstructedResponse = (extra) => {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({
+      type: 'response.create',
+      response: {
+        modalities: ['audio', 'text'],
+        instructions: `${buildInstructions()}\n\n${extra}`,
+        output_audio_format: media.realtimeFormat,
+      },
+    }));
+  };
+
+  // Caller-silence monitor: reprompt, then end the call with cleanup reason "no-input"
+  const inactivity = createInactivityMonitor({
+    channelId,
+    timeoutMs: (Number(profile.NO_INPUT_TIMEOUT_SECONDS) || 0) * 1000,
+    maxReprompts: Number(profile.NO_INPUT_MAX_REPROMPTS) || 0,
+    onReprompt: (attempt) => {
+      appendTranscript(channelId, 'SYSTEM', `No caller input for ${profile.NO_INPUT_TIMEOUT_SECONDS}s; reprompt ${attempt}`);
+      requestInstructedResponse(config.NO_INPUT_REPROMPT_INSTRUCTIONS);
+    },
+    onGiveUp: () => {
+      appendTranscript(channelId, 'SYSTEM', 'No caller input after reprompts; ending call');
+      requestTerminate('no-input', 'no-input');
+      requestInstructedResponse(config.NO_INPUT_GOODBYE_INSTRUCTIONS);
+    }
+  });
+
+  /**
+   * Add a text turn on behalf of the caller (e.g. keypad input) and ask for a reply.
+   * Anything the assistant is saying at that moment is treated as a barge-in.
+   */
+  const sendUserText = (text, transcriptLabel = 'USER') => {
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+      logger.warn(`Cannot send text turn for ${channelId}: no open OpenAI session`);
+      return;
+    }
+    if (streamHandler) handleBargeIn();
+    inactivity.activity();
+    appendTranscript(channelId, transcriptLabel, text);
+    ws.send(JSON.stringify({
+      type: 'conversation.item.create',
+      item: { type: 'message', role: 'user', content: [{ type: 'input_text', text }] }
+    }));
+    ws.send(JSON.stringify({ type: 'response.create' }));
+    logClient(`Sent text turn for ${channelId}: ${text}`);
+  };
+
+  /**
+   * Call duration limit is near: tell the model (as a system message) to summarize and say goodbye.
+   * If the assistant is mid-response, the reply is requested once that response is done.
+   */
+  const wrapUp = () => {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    appendTranscript(channelId, 'SYSTEM', 'Call duration limit approaching; assistant asked to wrap up');
+    ws.send(JSON.stringify({
+      type: 'conversation.item.create',
+      item: { type: 'message', role: 'system', content: [{ type: 'input_text', text: config.CALL_WRAPUP_INSTRUCTIONS }] }
+    }));
+    if (isResponseActive) {
+      followUpPending = true;
+    } else {
+      ws.send(JSON.stringify({ type: 'response.create' }));
+    }
+    logClient(`Wrap-up requested for ${channelId}`);
+  };
+
+  /**
+   * Manual turn mode (VAD_TYPE=manual): the local VAD decided the caller has finished.
+   * Commit the buffered caller audio and ask for a reply; anything still playing is a barge-in.
+   */
+  const commitUserTurn = () => {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    if (streamHandler) handleBargeIn();
+    ws.send(JSON.stringify({ type: 'input_audio_buffer.commit' }));
+    ws.send(JSON.stringify({ type: 'response.create' }));
+    logClient(`Committed caller turn for ${channelId} (manual turn mode)`);
+  };
+
+  /** Local VAD heard the caller start talking (server VAD reports this as speech_started). */
+  const callerSpeechStarted = () => {
+    logger.debug(`Local VAD: caller speech started for ${channelId}`);
+    inactivity.activity();
+    cancelFiller('caller speaking');
+  };
+
+  /** Whether assistant audio is queued for the caller (filler audio does not count). */
+  const isSpeaking = () => !!(streamHandler && streamHandler.packetQueue.length > 0);
+
+  /** Guarded barge-in (BARGE_IN_MODE=guarded): the uplink heard sustained caller speech. */
+  const bargeIn = () => {
+    if (!streamHandler) return;
+    logClient(`Guarded barge-in for ${channelId}`);
+    cancelFiller('caller speaking');
+    handleBargeIn();
+  };
+
+  /** Play the last assistant turn again from cached audio (or ask the model if none is cached). */
+  const repeatLastTurn = () => {
+    if (!streamHandler) return;
+    if (!lastTurnAudio) {
+      sendUserText('Please repeat what you just said.', 'USER (repeat)');
+      return;
+    }
+    handleBargeIn();
+    streamHandler.sendRtpPacket(lastTurnAudio);
+    appendTranscript(channelId, 'SYSTEM', 'Last assistant turn repeated at caller request');
+    logClient(`Repeating last assistant turn for ${channelId} (${lastTurnAudio.length} bytes)`);
+  };
+
+  /** Send a client event whose failure is expected to be benign (see the 'error' case). */
+  const sendControlEvent = (event) => {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    const eventId = `evt_${uuid().replace(/-/g, '').substring(0, 24)}`;
+    controlEventIds.add(eventId);
+    ws.send(JSON.stringify({ event_id: eventId, ...event }));
+  };
+
+  /** Caller turn committed: play filler if no assistant audio has arrived after FILLER_DELAY_MS. */
+  const armFiller = () => {
+    if (config.FILLER_TYPE === 'off' || !streamHandler || terminateRequested) return;
+    clearTimeout(fillerTimer);
+    fillerTimer = setTimeout(() => {
+      fillerTimer = null;
+      if (streamHandler && streamHandler.packetQueue.length === 0 && callStillLive()) {
+        streamHandler.startFiller(createFillerSource(media));
+      }
+    }, config.FILLER_DELAY_MS);
+  };
+
+  const cancelFiller = (why) => {
+    clearTimeout(fillerTimer);
+    fillerTimer = null;
+    if (streamHandler) streamHandler.stopFiller(why);
+  };
+
+  /**
+   * Caller spoke over the assistant: stop playout, cancel the in-flight response and
+   * truncate the assistant item to what was really played, so the model's context
+   * matches what the caller heard.
+   */
+  const handleBargeIn = () => {
+    const { itemId, playedMs, pendingMs } = streamHandler.getPlayback();
+    const cutOff = itemId && (pendingMs > 0 || isResponseActive);
+    streamHandler.stopPlayback();
+    media.resetOutbound();
+
+    if (isResponseActive) {
+      sendControlEvent({ type: 'response.cancel' });
+      logClient(`Cancelled in-flight response for ${channelId} (barge-in)`);
+      isResponseActive = false;
+    }
+    if (!cutOff || interruptedItems.has(itemId)) return;
+
+    interruptedItems.add(itemId);
+    sendControlEvent({ type: 'conversation.item.truncate', item_id: itemId, content_index: 0, audio_end_ms: playedMs });
+    logClient(`Truncated assistant item ${itemId} at ${playedMs}ms for ${channelId} (barge-in, ${pendingMs}ms unplayed)`);
+    if (transcribedItems.has(itemId)) {
+      appendTranscript(channelId, 'SYSTEM', `Assistant turn interrupted by caller after ${(playedMs / 1000).toFixed(2)}s of audio`);
+    }
+  };
+
   const processMessage = async (response) => {
     try {
       switch (response.type) {
@@ -232,10 +575,12 @@ async function startOpenAIWebSocket(channelId, hooks = {}) {
             itemRoles.set(response.item.id, response.item.role);
             if (response.item.role === 'user') {
               lastUserItemId = response.item.id;
+              inactivity.activity();
               logOpenAI(`User voice command detected for ${channelId}, stopping current playback`);
               logger.debug(`VAD triggered - Full message for user voice command: ${JSON.stringify(response, null, 2)}`);
-              if (streamHandler) {
-                streamHandler.stopPlayback();
+              // Outside full duplex, a caller turn that committed while the assistant spoke does not cut it off
+              if (streamHandler && profile.BARGE_IN_MODE === 'full') {
+                handleBargeIn();
               }
             }
           }
@@ -243,37 +588,56 @@ async function startOpenAIWebSocket(channelId, hooks = {}) {
 
         case 'response.created':
           logOpenAI(`Response created for ${channelId}`);
-          isResponseActive = true;
+          // Out-of-band responses run outside the conversation and must not be cancelled by barge-in
+          if (!response.response?.metadata?.oob_id) {
+            isResponseActive = true;
+            inactivity.pause();
+          }
+          break;
+
+        case 'input_audio_buffer.speech_started':
+          logOpenAI(`Caller speech started for ${channelId}`);
+          inactivity.activity();
+          cancelFiller('caller speaking');
+          break;
+
+        case 'input_audio_buffer.committed':
+          logOpenAI(`Caller audio committed for ${channelId}`);
+          armFiller();
           break;
 
         case 'response.audio.delta':
           if (response.delta) {
             const deltaBuffer = Buffer.from(response.delta, 'base64');
-            if (deltaBuffer.length > 0 && !deltaBuffer.every((byte) => byte === 0x7f)) {
+            if (deltaBuffer.length > 0 && !media.isSilent(deltaBuffer)) {
               totalDeltaBytes += deltaBuffer.length;
               channelData.totalDeltaBytes = totalDeltaBytes; // Store in channelData
               sipMap.set(channelId, channelData);
               segmentCount++;
               if (totalDeltaBytes - loggedDeltaBytes >= 40000 || segmentCount >= 100) {
                 logOpenAI(
-                  `Received audio delta for ${channelId}: ${deltaBuffer.length} bytes, total: ${totalDeltaBytes} bytes, estimated duration: ${(totalDeltaBytes / 8000).toFixed(2)}s`,
+                  `Received audio delta for ${channelId}: ${deltaBuffer.length} bytes, total: ${totalDeltaBytes} bytes, estimated duration: ${deltaSeconds(totalDeltaBytes)}s`,
                   'info'
                 );
                 loggedDeltaBytes = totalDeltaBytes;
                 segmentCount = 0;
               }
 
-              let packetBuffer = deltaBuffer;
-              if (totalDeltaBytes === deltaBuffer.length) {
-                const silenceDurationMs = config.SILENCE_PADDING_MS || 100;
-                const silencePackets = Math.ceil(silenceDurationMs / 20);
-                const silenceBuffer = Buffer.alloc(silencePackets * 160, 0x7f);
-                packetBuffer = Buffer.concat([silenceBuffer, deltaBuffer]);
-                logger.info(`Prepended ${silencePackets} silence packets (${silenceDurationMs} ms) for ${channelId}`);
-              }
-
+              cancelFiller('assistant audio');
               if (sipMap.has(channelId) && streamHandler) {
-                streamHandler.sendRtpPacket(packetBuffer);
+                if (totalDeltaBytes === deltaBuffer.length) {
+                  const silenceDurationMs = config.SILENCE_PADDING_MS || 100;
+                  const silencePackets = Math.ceil(silenceDurationMs / 20);
+                  // Queued without an item id so it does not count as heard assistant audio
+                  streamHandler.sendRtpPacket(media.silence(silencePackets * 20));
+                  logger.info(`Prepended ${silencePackets} silence packets (${silenceDurationMs} ms) for ${channelId}`);
+                }
+                // Converted to the Asterisk codec; cached in that form for "repeat"
+                const audio = media.fromRealtime(deltaBuffer);
+                if (audio.length) {
+                  streamHandler.sendRtpPacket(audio, response.item_id);
+                  currentTurnAudio.push(audio);
+                }
               }
             } else {
               logger.warn(`Received empty or silent delta for ${channelId}`);
@@ -284,6 +648,7 @@ async function startOpenAIWebSocket(channelId, hooks = {}) {
         case 'response.audio_transcript.delta':
           if (response.delta) {
             logger.debug(`Transcript delta for ${channelId}: ${response.delta.trim()}`);
+            publishCallEvent(channelId, 'transcript.delta', { who: 'ASSISTANT', itemId: response.item_id, delta: response.delta });
             logger.debug(`Full transcript delta message: ${JSON.stringify(response, null, 2)}`);
           }
           break;
@@ -293,43 +658,32 @@ async function startOpenAIWebSocket(channelId, hooks = {}) {
             logger.debug(`Transcript done - Full message: ${JSON.stringify(response, null, 2)}`);
             const txt = (response.transcript || '').toLowerCase().normalize('NFKC');
 
-            // Save assistant text to transcript
-            appendTranscript(channelId, 'ASSISTANT', response.transcript);
+            // Save assistant text to transcript (marked if the caller already cut this turn off)
+            const wasInterrupted = interruptedItems.has(response.item_id);
+            appendTranscript(channelId, wasInterrupted ? 'ASSISTANT (interrupted)' : 'ASSISTANT', response.transcript);
+            if (response.item_id) transcribedItems.add(response.item_id);
             // NEW: also log assistant transcript at INFO level so it's visible with LOG_LEVEL=info
             // (Use logOpenAI wrapper to keep the same [OpenAI] prefix/format)
             logOpenAI(`Assistant transcription for ${channelId}: ${response.transcript}`, 'info');
+            if (!config.PHRASE_FALLBACK_ENABLED) break;
+
             // --- TERMINATE: mark only; do NOT cleanup yet
-            if (Array.isArray(config.AGENT_TERMINATE_PHRASES) && config.AGENT_TERMINATE_PHRASES.length) {
-              const matched = config.AGENT_TERMINATE_PHRASES.find((p) => txt.includes(p));
+            if (Array.isArray(profile.AGENT_TERMINATE_PHRASES) && profile.AGENT_TERMINATE_PHRASES.length) {
+              const matched = profile.AGENT_TERMINATE_PHRASES.find((p) => txt.includes(p));
               if (matched) {
-                terminateRequested = true;
-                terminateReason = matched;
-                logger.info(
-                  `Assistant termination phrase matched ("${matched}") for ${channelId}; will terminate after playback completes`
-                );
-
-                // Start a one-shot watchdog in case 'response.audio.done' never arrives.
-                if (!terminationWatchdogStarted) {
-                  terminationWatchdogStarted = true;
-                  setTimeout(() => {
-                    if (terminateRequested && !terminationInFlight) {
-                      logger.warn(`Termination watchdog firing for ${channelId} — proceeding to finalize`);
-                      finalizeAndTerminate();
-                    }
-                  }, Number(config.TERMINATION_WATCHDOG_MS || 8000)).unref();
-                }
+                logger.info(`Assistant termination phrase matched ("${matched}") for ${channelId}`);
+                requestTerminate(matched);
               }
             }
 
             // --- REDIRECT: assistant offers human/queue handoff
-            if (Array.isArray(config.REDIRECTION_PHRASES) && config.REDIRECTION_PHRASES.length) {
-              const matched = config.REDIRECTION_PHRASES.find((p) => txt.includes(p));
-              if (matched && typeof onRedirectRequest === 'function') {
+            if (Array.isArray(profile.REDIRECTION_PHRASES) && profile.REDIRECTION_PHRASES.length) {
+              const matched = profile.REDIRECTION_PHRASES.find((p) => txt.includes(p));
+              if (matched) {
                 logger.info(
                   `Assistant redirect phrase matched ("${matched}") for ${channelId}; requesting queue handoff`
                 );
-                // Do not set any flags in sipMap here; let asterisk.js own the redirect state.
-                onRedirectRequest(channelId, matched);
+                requestRedirect(matched);
               }
             }
           }
@@ -339,6 +693,7 @@ async function startOpenAIWebSocket(channelId, hooks = {}) {
         case 'conversation.item.input_audio_transcription.delta':
           if (response.delta) {
             logger.debug(`User transcript delta for ${channelId}: ${response.delta.trim()}`);
+            publishCallEvent(channelId, 'transcript.delta', { who: 'USER', itemId: response.item_id, delta: response.delta });
             logger.debug(`Full user transcript delta message: ${JSON.stringify(response, null, 2)}`);
           }
           break;
@@ -348,17 +703,28 @@ async function startOpenAIWebSocket(channelId, hooks = {}) {
             logger.debug(`User transcript completed - Full message: ${JSON.stringify(response, null, 2)}`);
             logOpenAI(`User command transcription for ${channelId}: ${response.transcript}`, 'info');
             appendTranscript(channelId, 'USER', response.transcript);
+            if (!language.detected && !language.code) detectCallerLanguage(response.transcript);
           }
           break;
 
-        case 'response.audio.done':
+        case 'response.audio.done': {
           logOpenAI(
-            `Response audio done for ${channelId}, total delta bytes: ${totalDeltaBytes}, estimated duration: ${(totalDeltaBytes / 8000).toFixed(2)}s`,
+            `Response audio done for ${channelId}, total delta bytes: ${totalDeltaBytes}, estimated duration: ${deltaSeconds(totalDeltaBytes)}s`,
             'info'
           );
+          // Last partial frame held back by the transcoder
+          const tail = media.flushOutbound();
+          if (tail.length && streamHandler) {
+            streamHandler.sendRtpPacket(tail, response.item_id);
+            currentTurnAudio.push(tail);
+          }
           isResponseActive = false;
           loggedDeltaBytes = 0;
           segmentCount = 0;
+          if (currentTurnAudio.length) {
+            lastTurnAudio = Buffer.concat(currentTurnAudio);
+            currentTurnAudio = [];
+          }
           itemRoles.clear();
           lastUserItemId = null;
           responseBuffer = Buffer.alloc(0);
@@ -368,10 +734,40 @@ async function startOpenAIWebSocket(channelId, hooks = {}) {
             await finalizeAndTerminate();
           }
           break;
+        }
+
+        case 'response.function_call_arguments.done':
+          handleFunctionCall(response).catch(e =>
+            logger.error(`Function call handling failed for ${channelId}: ${e.message}`)
+          );
+          break;
+
+        case 'response.done':
+          logOpenAI(`Response done for ${channelId} (status=${response.response?.status || 'n/a'})`);
+          recordRealtimeUsage(channelId, config.REALTIME_MODEL, response.response?.usage);
+          if (response.response?.metadata?.oob_id) {
+            resolveOutOfBand(response.response);
+            break;
+          }
+          isResponseActive = false;
+          // Tools still running: handleFunctionCall settles the response when the last one finishes
+          if (toolCallsRunning) {
+            logOpenAI(`Response done for ${channelId}; waiting for ${toolCallsRunning} tool call(s)`);
+            break;
+          }
+          await settleResponse(response.response?.status);
+          break;
 
         case 'error':
+          // Races around our own cancel/truncate (response already finished, item gone) are harmless
+          if (controlEventIds.has(response.error?.event_id) || BENIGN_ERROR_CODES.has(response.error?.code)) {
+            logger.warn(`OpenAI rejected barge-in control event for ${channelId}: ${response.error?.message || response.error?.code}`);
+            break;
+          }
           // Log API error but ensure termination still proceeds if it was requested.
           logger.error(`OpenAI error for ${channelId}: ${response.error?.message || 'unknown error'}`);
+          // Replaying the session would hit the same error: this close must not be resumed
+          if (ws) ws.closedOnApiError = true;
           try { ws && ws.close(); } catch (_) {}
           if (terminateRequested) {
             // WS error must not prevent us from hanging up the call.
@@ -388,97 +784,285 @@ async function startOpenAIWebSocket(channelId, hooks = {}) {
     }
   };
 
-  const connectWebSocket = () => {
+  /** Profile prompt plus whatever the caller directory knows about this caller. */
+  const buildInstructions = () => {
+    const facts = formatCallerFacts(channelData.callerInfo);
+    const parts = [channelData.systemPrompt];
+    if (facts) parts.push(facts);
+    if (language.detected && config.LANGUAGE_INSTRUCTIONS[language.code]) {
+      parts.push(config.LANGUAGE_INSTRUCTIONS[language.code]);
+    }
+    return parts.join('\n\n');
+  };
+
+  /** Voice for this call; a detected language may bring its own (LANGUAGE_VOICE_<LANG>). */
+  const currentVoice = () =>
+    (language.detected && config.LANGUAGE_VOICES[language.code]) || profile.OPENAI_VOICE || 'alloy';
+
+  /** Whisper language; omitted while auto-detecting so Whisper guesses per utterance. */
+  const transcriptionSettings = () => ({
+    model: config.TRANSCRIPTION_MODEL || 'whisper-1',
+    ...(language.code ? { language: language.code } : {}),
+  });
+
+  /**
+   * Pin the transcription language for the rest of the call (auto mode) and
+   * update the session. The voice can only change before the assistant has spoken.
+   */
+  const pinLanguage = (code, how) => {
+    language = { code, detected: true };
+    channelData.language = language;
+    logger.info(`Caller language for ${channelId}: ${code} (${how})`);
+    setTranscriptHeaderField(channelId, 'Language', `${code} (${how})`);
+
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    const session = {
+      input_audio_transcription: transcriptionSettings(),
+      instructions: buildInstructions(),
+    };
+    if (config.LANGUAGE_VOICES[code]) {
+      if (totalDeltaBytes === 0) session.voice = currentVoice();
+      else logger.info(`Voice for "${code}" not applied to ${channelId}: assistant has already spoken in this session`);
+    }
+    ws.send(JSON.stringify({ type: 'session.update', session }));
+    logClient(`Session updated for ${channelId} with transcription language ${code}`);
+  };
+
+  /** Feed caller transcripts to the detector until it is confident or runs out of turns. */
+  const detectCallerLanguage = (transcript) => {
+    languageSamples.push(transcript);
+    const allowed = profile.ALLOWED_LANGUAGES.length ? profile.ALLOWED_LANGUAGES : ['en'];
+    const guess = detectLanguage(languageSamples.join(' '), allowed);
+    logger.debug(`Language guess for ${channelId}: ${guess.language || 'none'} (score=${guess.score}, margin=${guess.margin})`);
+    if (guess.language && guess.score >= 3 && guess.margin >= 2) {
+      pinLanguage(guess.language, 'detected');
+    } else if (languageSamples.length >= config.LANGUAGE_DETECT_MAX_TURNS) {
+      pinLanguage(guess.language || allowed[0], guess.language ? 'detected, low confidence' : 'fallback');
+    }
+  };
+
+  /** session.update payload; sent on first connect and again on every resume. */
+  const buildSessionUpdate = () => ({
+    type: 'session.update',
+    session: {
+      modalities: ['audio', 'text'],
+      voice: currentVoice(),
+      instructions: buildInstructions(),
+      input_audio_format: media.realtimeFormat,
+      output_audio_format: media.realtimeFormat,
+      input_audio_transcription: transcriptionSettings(),
+      // Build a safe turn_detection payload
+      turn_detection: normalizeTurnDetection(profile),
+      ...(config.TOOLS_ENABLED ? { tools: getToolDefinitions(), tool_choice: 'auto' } : {}),
+    },
+  });
+
+  /**
+   * Replay the conversation recorded by appendTranscript into a fresh session,
+   * then let the assistant apologize and carry on — no second greeting.
+   */
+  const replayHistory = () => {
+    const history = (channelData.history || []).slice(-config.RESUME_HISTORY_MAX_ITEMS);
+    for (const entry of history) {
+      const isUser = entry.who === 'USER';
+      ws.send(
+        JSON.stringify({
+          type: 'conversation.item.create',
+          item: {
+            type: 'message',
+            role: isUser ? 'user' : 'assistant',
+            content: [{ type: isUser ? 'input_text' : 'text', text: entry.text }],
+          },
+        })
+      );
+    }
+    logClient(`Replayed ${history.length} conversation item(s) into resumed session for ${channelId}`);
+    appendTranscript(channelId, 'SYSTEM', `Connection to the assistant was lost and resumed (attempt ${retryCount}); ${history.length} item(s) replayed`);
+
+    ws.send(
+      JSON.stringify({
+        type: 'response.create',
+        response: {
+          modalities: ['audio', 'text'],
+          instructions: `${buildInstructions()}\n\n${config.RESUME_INSTRUCTIONS}`,
+          output_audio_format: media.realtimeFormat,
+        },
+      })
+    );
+    logClient(`Requested resume response for ${channelId}`);
+    isResponseActive = true;
+  };
+
+  /** True while the call still wants an assistant (not cleaned, not handed off). */
+  const callStillLive = () => {
+    const data = sipMap.get(channelId);
+    return !!data && !data._cleaned && !data.redirecting && !redirectRequested;
+  };
+
+  /**
+   * Reconnect after a mid-call socket drop, keeping the existing streamHandler/RTP sender.
+   * Gives up (and ends the call) after maxRetries consecutive failures.
+   */
+  const scheduleResume = (why) => {
+    if (resumeTimer || resumeAbandoned || !callStillLive()) return;
+    if (retryCount >= maxRetries) {
+      resumeAbandoned = true; // the failed attempt's error and close both land here
+      logger.error(`OpenAI session for ${channelId} could not be resumed after ${maxRetries} attempts (${why}); ending call`);
+      if (typeof onTerminateRequest === 'function') onTerminateRequest(channelId, 'openai-resume-failed');
+      return;
+    }
+    retryCount++;
+    logger.warn(`OpenAI WebSocket lost for ${channelId} (${why}); resuming session, attempt ${retryCount}/${maxRetries}`);
+    resumeTimer = setTimeout(() => {
+      resumeTimer = null;
+      if (!callStillLive()) return;
+      connectWebSocket({ resume: true }).catch((e) => {
+        logger.error(`Resume attempt failed for ${channelId}: ${e.message}`);
+        scheduleResume(`resume failed: ${e.message}`);
+      });
+    }, 1000);
+  };
+
+  // Server events are handled one at a time, in arrival order (handlers are async)
+  let draining = false;
+  let disposed = false;
+  const drainMessages = async () => {
+    if (draining) return;
+    draining = true;
+    try {
+      while (messageQueue.length > 0) {
+        const message = messageQueue.shift();
+        // After cleanup only out-of-band answers (ticket extraction) are still awaited
+        if (disposed && !message.response?.metadata?.oob_id) continue;
+        await processMessage(message);
+      }
+    } finally {
+      draining = false;
+    }
+  };
+
+  /**
+   * Call cleanup: stop every per-call timer and drop unprocessed server events.
+   * The socket stays usable for out-of-band requests until asterisk.js closes it.
+   */
+  const dispose = () => {
+    disposed = true;
+    inactivity.stop();
+    clearTimeout(resumeTimer);
+    resumeTimer = null;
+    clearTimeout(terminationWatchdog);
+    clearTimeout(fillerTimer);
+    messageQueue.length = 0;
+  };
+
+  const connectWebSocket = ({ resume = false } = {}) => {
     return new Promise((resolve, reject) => {
-      ws = new WebSocket(config.REALTIME_URL, {
+      const sock = new WebSocket(config.REALTIME_URL, {
         headers: {
           Authorization: `Bearer ${OPENAI_API_KEY}`,
           'OpenAI-Beta': 'realtime=v1',
         },
       });
+      ws = sock;
 
-      ws.on('open', async () => {
-        logClient(`OpenAI WebSocket connected for ${channelId}`);
-
-        // Build a safe turn_detection payload
-        const turn_detection = normalizeTurnDetection();
-
-        ws.send(
-          JSON.stringify({
-            type: 'session.update',
-            session: {
-              modalities: ['audio', 'text'],
-              voice: config.OPENAI_VOICE || 'alloy',
-              instructions: config.SYSTEM_PROMPT,
-              input_audio_format: 'g711_ulaw',
-              output_audio_format: 'g711_ulaw',
-              input_audio_transcription: {
-                model: config.TRANSCRIPTION_MODEL || 'whisper-1',
-                language: config.TRANSCRIPTION_LANGUAGE || 'en',
-              },
-              turn_detection,
-            },
-          })
-        );
+      sock.on('open', async () => {
+        logClient(`OpenAI WebSocket connected for ${channelId} (profile=${profile.name}${resume ? ', resuming' : ''})`);
+
+        sock.send(JSON.stringify(buildSessionUpdate()));
         logClient(`Session updated for ${channelId}`);
 
         try {
-          const rtpSource = channelData.rtpSource || { address: '127.0.0.1', port: 12000 };
-          streamHandler = await streamAudio(channelId, rtpSource);
-          channelData.ws = ws;
+          if (!streamHandler) {
+            writeTranscriptHeader(channelId, {
+              Channel: channelId,
+              Caller: channelData.callerId || 'unknown',
+              Profile: profile.name,
+              Started: new Date().toISOString(),
+              Language: language.code || 'auto (detecting)',
+            });
+            const rtpSource = channelData.rtpSource || { address: loopbackFor(senderBindAddress()), port: config.RTP_PORT_START };
+            streamHandler = await streamAudio(channelId, rtpSource, media);
+            channelData.totalDeltaBytes = 0; // Initialize totalDeltaBytes
+          }
+          channelData.ws = sock;
+          channelData.wsClosed = false;
           channelData.streamHandler = streamHandler;
-          channelData.totalDeltaBytes = 0; // Initialize totalDeltaBytes
+          // Call controls for asterisk.js (DTMF and other out-of-conversation triggers)
+          channelData.assistant = {
+            sendUserText, repeatLastTurn, requestTerminate, wrapUp, commitUserTurn, callerSpeechStarted,
+            isSpeaking, bargeIn, dispose
+          };
           sipMap.set(channelId, channelData);
 
+          if (resume) {
+            // Per-response state from the dead session no longer applies
+            isResponseActive = false;
+            redirectPending = null;
+            followUpPending = false;
+            replayHistory();
+            retryCount = 0;
+            resolve(sock);
+            return;
+          }
+
           const itemId = uuid().replace(/-/g, '').substring(0, 32);
-          logClient(`Sending initial message for ${channelId}: ${config.INITIAL_MESSAGE || 'Hi'}`);
-          ws.send(
+          logClient(`Sending initial message for ${channelId}: ${channelData.initialMessage}`);
+          sock.send(
             JSON.stringify({
               type: 'conversation.item.create',
               item: {
                 id: itemId,
                 type: 'message',
                 role: 'user',
-                content: [{ type: 'input_text', text: config.INITIAL_MESSAGE || 'Hi' }],
+                content: [{ type: 'input_text', text: channelData.initialMessage }],
               },
             })
           );
-          ws.send(
+          sock.send(
             JSON.stringify({
               type: 'response.create',
               response: {
                 modalities: ['audio', 'text'],
-                instructions: config.SYSTEM_PROMPT,
-                output_audio_format: 'g711_ulaw',
+                instructions: buildInstructions(),
+                output_audio_format: media.realtimeFormat,
               },
             })
           );
           logClient(`Requested response for ${channelId}`);
           isResponseActive = true;
-          resolve(ws);
+          sessionEstablished = true;
+          retryCount = 0;
+          resolve(sock);
         } catch (e) {
           logger.error(`Error setting up WebSocket for ${channelId}: ${e.message}`);
           reject(e);
         }
       });
 
-      ws.on('message', (data) => {
+      sock.on('message', (data) => {
+        if (sock !== ws) return; // late frames from a replaced socket
         try {
           const response = JSON.parse(data.toString());
           logger.debug(`Raw WebSocket message for ${channelId}: ${JSON.stringify(response, null, 2)}`);
           messageQueue.push(response);
+          drainMessages();
         } catch (e) {
           logger.error(`Error parsing WebSocket message for ${channelId}: ${e.message}`);
         }
       });
 
-      ws.on('error', (e) => {
+      sock.on('error', (e) => {
         logger.error(`WebSocket error for ${channelId}: ${e.message}`);
         // If termination was requested, ensure we still end the call
         if (terminateRequested) {
           finalizeAndTerminate();
           return;
         }
+        if (sessionEstablished) {
+          // A resume attempt that never opened fails here; a live socket's close event schedules the resume
+          reject(e);
+          return;
+        }
         if (retryCount < maxRetries && sipMap.has(channelId)) {
           retryCount++;
           setTimeout(() => connectWebSocket().then(resolve).catch(reject), 1000);
@@ -487,16 +1071,22 @@ async function startOpenAIWebSocket(channelId, hooks = {}) {
         }
       });
 
-      const handleClose = () => {
-        logger.info(`WebSocket closed for ${channelId}`);
+      const handleClose = (code) => {
+        sock.off('close', handleClose);
+        if (sock !== ws) return; // a replaced socket closing late
+        logger.info(`WebSocket closed for ${channelId} (code ${code})`);
         channelData.wsClosed = true;
         channelData.ws = null;
         sipMap.set(channelId, channelData);
-        ws.off('close', handleClose);
 
         // If we were supposed to terminate, do it even if WS closed abruptly.
         if (terminateRequested) {
           finalizeAndTerminate();
+        } else if (sessionEstablished && RESUMABLE_CLOSE_CODES.has(code) && !sock.closedOnApiError) {
+          scheduleResume(`closed, code ${code}`);
+        } else if (sessionEstablished && callStillLive()) {
+          logger.error(`OpenAI session for ${channelId} ended (code ${code}${sock.closedOnApiError ? ', API error' : ''}); not resumable, ending call`);
+          if (typeof onTerminateRequest === 'function') onTerminateRequest(channelId, 'openai-error');
         }
 
         const cleanupResolve = cleanupPromises.get(`ws_${channelId}`);
@@ -505,16 +1095,10 @@ async function startOpenAIWebSocket(channelId, hooks = {}) {
           cleanupPromises.delete(`ws_${channelId}`);
         }
       };
-      ws.on('close', handleClose);
+      sock.on('close', handleClose);
     });
   };
 
-  setInterval(async () => {
-    const maxMessages = 5;
-    for (let i = 0; i < maxMessages && messageQueue.length > 0; i++) {
-      await processMessage(messageQueue.shift());
-    }
-  }, 25);
 
   try {
     await connectWebSocket();
@@ -524,4 +1108,4 @@ async function startOpenAIWebSocket(channelId, hooks = {}) {
   }
 }
 
-module.exports = { startOpenAIWebSocket, transcriptPath };
+module.exports = { startOpenAIWebSocket, transcriptPath, requestOutOfBandText };
@@ -0,0 +1,119 @@
+// profiles.js
+// Named assistant profiles (prompt, voice, language, VAD, queue, phrases, email)
+// so several lines can share one service. Declared in config.conf:
+//   PROFILES=outage,sales
+//   PROFILE_SALES_SYSTEM_PROMPT="..."
+//   PROFILE_SALES_NUMBERS=223334455,9998
+// Any key not set for a profile falls back to the global value of the same name.
+// Prompts can also live in PROMPTS_DIR/<profile>.txt (see prompts.js).
+
+const { config, logger, parsePhraseList, parseBargeInMode } = require('./config');
+const { hasSystemPrompt } = require('./prompts');
+
+logger.info('Loading profiles.js module');
+
+const str = (v) => v;
+const num = (v) => Number(v);
+const bool = (v) => /^true$/i.test(v);
+const list = (v) => v.split(',').map(s => s.trim()).filter(Boolean);
+const langList = (v) => list(v).map(s => s.toLowerCase());
+
+// Per-profile overridable keys and how to parse their raw config.conf value
+const PROFILE_KEYS = {
+  SYSTEM_PROMPT: str,
+  SYSTEM_PROMPT_FILE: str,
+  INITIAL_MESSAGE: str,
+  OPENAI_VOICE: str,
+  AUDIO_CODEC: (v) => v.toLowerCase(),
+  TRANSCRIPTION_LANGUAGE: str,
+  ALLOWED_LANGUAGES: langList,
+  VAD_TYPE: str,
+  VAD_THRESHOLD: num,
+  VAD_PREFIX_PADDING_MS: num,
+  VAD_SILENCE_DURATION_MS: num,
+  BARGE_IN_MODE: str, // validated in buildProfile
+  BARGE_IN_MIN_SPEECH_MS: num,
+  OUTBOUND_GAIN_DB: num,
+  OUTBOUND_NORMALIZE: bool,
+  OUTBOUND_TARGET_DB: num,
+  OUTBOUND_MAX_NORMALIZE_DB: num,
+  OUTBOUND_LIMITER: bool,
+  OUTBOUND_LIMITER_DB: num,
+  INBOUND_GAIN_DB: num,
+  REDIRECTION_QUEUE: str,
+  REDIRECTION_QUEUE_CONTEXT: str,
+  REDIRECTION_PHRASES: parsePhraseList,
+  AGENT_TERMINATE_PHRASES: parsePhraseList,
+  EMAIL_TO: str,
+  RECORD_AUDIO: bool,
+  DTMF_BINDINGS: str,
+  NO_INPUT_TIMEOUT_SECONDS: num,
+  NO_INPUT_MAX_REPROMPTS: num
+};
+
+/** Build one profile from PROFILE_<NAME>_<KEY> entries layered over the global config. */
+function buildProfile(name) {
+  const prefix = `PROFILE_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const profile = { name, numbers: list(process.env[`${prefix}NUMBERS`] || '') };
+  for (const [key, parse] of Object.entries(PROFILE_KEYS)) {
+    const raw = process.env[prefix + key];
+    profile[key] = (raw !== undefined && raw !== '') ? parse(raw) : config[key];
+  }
+  // One validated value for both the session's turn detection (openai.js) and the uplink
+  profile.BARGE_IN_MODE = parseBargeInMode(profile.BARGE_IN_MODE, `${prefix}BARGE_IN_MODE`);
+  return profile;
+}
+
+const defaultProfile = buildProfile('default');
+const profiles = new Map(config.PROFILES.map(name => [name.toLowerCase(), buildProfile(name)]));
+
+for (const p of profiles.values()) {
+  logger.info(`Profile "${p.name}" loaded (voice=${p.OPENAI_VOICE || 'default'}, language=${p.TRANSCRIPTION_LANGUAGE}, queue=${p.REDIRECTION_QUEUE || 'unset'}, numbers=${p.numbers.join(',') || 'none'})`);
+}
+if (config.DEFAULT_PROFILE && !profiles.has(config.DEFAULT_PROFILE.toLowerCase())) {
+  logger.warn(`DEFAULT_PROFILE "${config.DEFAULT_PROFILE}" is not listed in PROFILES; using global settings`);
+}
+
+// Every profile a call can land on needs a prompt (file or inline)
+const reachable = [...profiles.values()];
+if (!config.DEFAULT_PROFILE || !profiles.has(config.DEFAULT_PROFILE.toLowerCase())) reachable.push(defaultProfile);
+const withoutPrompt = reachable.filter(p => !hasSystemPrompt(p)).map(p => p.name);
+if (withoutPrompt.length) {
+  logger.error(`No system prompt for profile(s) ${withoutPrompt.join(', ')}: set SYSTEM_PROMPT, SYSTEM_PROMPT_FILE or add ${config.PROMPTS_DIR}/<profile>.txt`);
+  process.exit(1);
+}
+
+/** Find a profile whose NUMBERS list contains the given DID/extension. */
+function findByNumber(number) {
+  const n = String(number || '').trim();
+  if (!n) return undefined;
+  for (const p of profiles.values()) {
+    if (p.numbers.includes(n)) return p;
+  }
+  return undefined;
+}
+
+/**
+ * Pick the profile for a new call.
+ * Order: Stasis args ("sales", "profile=sales" or a DID) ⇒ dialed extension ⇒ DEFAULT_PROFILE ⇒ global settings.
+ * @param {Object}   p
+ * @param {string[]} [p.args]  - evt.args from StasisStart
+ * @param {string}   [p.exten] - channel.dialplan.exten
+ */
+function selectProfile({ args = [], exten } = {}) {
+  for (const raw of args) {
+    const arg = String(raw || '').trim();
+    const value = arg.replace(/^profile=/i, '');
+    if (profiles.has(value.toLowerCase())) return profiles.get(value.toLowerCase());
+    const byNumber = findByNumber(value);
+    if (byNumber) return byNumber;
+  }
+  const byExten = findByNumber(exten);
+  if (byExten) return byExten;
+  if (config.DEFAULT_PROFILE && profiles.has(config.DEFAULT_PROFILE.toLowerCase())) {
+    return profiles.get(config.DEFAULT_PROFILE.toLowerCase());
+  }
+  return defaultProfile;
+}
+
+module.exports = { selectProfile, defaultProfile, PROFILE_KEYS };
@@ -0,0 +1,115 @@
+// prompts.js
+// System prompts from template files in PROMPTS_DIR, re-read when they change,
+// so edits apply to the next call without a restart. Templates may use
+// {{callerId}}, {{channelId}}, {{profile}}, {{exten}}, {{date}}, {{time}}, {{weekday}}
+// and custom variables from Stasis args (key=value) or PROMPT_CHANNEL_VARIABLES.
+
+const fs = require('fs');
+const path = require('path');
+const { config, logger } = require('./config');
+
+logger.info('Loading prompts.js module');
+
+const promptsDir = path.resolve(__dirname, config.PROMPTS_DIR);
+const fileCache = new Map(); // file ⇒ { mtimeMs, text }
+
+/** Read a template, reusing the cached text until the file's mtime changes. */
+function readTemplate(file) {
+  const cached = fileCache.get(file);
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (e) {
+    if (cached) logger.warn(`Prompt file ${file} is gone (${e.code || e.message}); using last loaded version`);
+    return cached ? cached.text : null;
+  }
+  if (cached && cached.mtimeMs === stat.mtimeMs) return cached.text;
+  try {
+    const text = fs.readFileSync(file, 'utf8').trim();
+    fileCache.set(file, { mtimeMs: stat.mtimeMs, text });
+    logger.info(`Prompt file ${file} ${cached ? 'reloaded' : 'loaded'} (${text.length} chars)`);
+    return text;
+  } catch (e) {
+    logger.error(`Failed to read prompt file ${file}: ${e.message}`);
+    return cached ? cached.text : null;
+  }
+}
+
+/**
+ * Prompt file for a profile: SYSTEM_PROMPT_FILE if set, otherwise
+ * PROMPTS_DIR/<profile>.txt when it exists.
+ */
+function promptFileFor(profile) {
+  if (profile.SYSTEM_PROMPT_FILE) return path.resolve(promptsDir, profile.SYSTEM_PROMPT_FILE);
+  const byName = path.join(promptsDir, `${profile.name}.txt`);
+  return fs.existsSync(byName) ? byName : null;
+}
+
+/** Replace {{name}} placeholders; unknown names become empty and are logged once per render. */
+function renderTemplate(template, vars) {
+  const missing = new Set();
+  const out = template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_, name) => {
+    if (vars[name] !== undefined && vars[name] !== null) return String(vars[name]);
+    missing.add(name);
+    return '';
+  });
+  if (missing.size) logger.debug(`Prompt variables without a value: ${[...missing].join(', ')}`);
+  return out;
+}
+
+/**
+ * Variables available to templates for one call.
+ * @param {Object}   p
+ * @param {string}   p.channelId
+ * @param {string}   p.callerId
+ * @param {Object}   p.profile
+ * @param {string}   [p.exten]        - dialed extension
+ * @param {string[]} [p.args]         - Stasis args; "key=value" entries become variables
+ * @param {Object}   [p.channelVars]  - values of PROMPT_CHANNEL_VARIABLES
+ * @param {Date}     [p.now]
+ */
+function buildPromptVariables({ channelId, callerId, profile, exten, args = [], channelVars = {}, now = new Date() }) {
+  const fmt = (opts) => new Intl.DateTimeFormat('en-GB', { timeZone: config.PROMPT_TIMEZONE || undefined, ...opts }).format(now);
+  const vars = {
+    channelId,
+    callerId: callerId || 'unknown',
+    profile: profile.name,
+    exten: exten || '',
+    date: fmt({ year: 'numeric', month: '2-digit', day: '2-digit' }).split('/').reverse().join('-'),
+    time: fmt({ hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }),
+    weekday: fmt({ weekday: 'long' })
+  };
+  for (const raw of args) {
+    const m = String(raw || '').match(/^([\w.-]+)=(.*)$/);
+    if (m && m[1].toLowerCase() !== 'profile') vars[m[1]] = m[2];
+  }
+  return { ...vars, ...channelVars };
+}
+
+/**
+ * System prompt for a new call: the profile's template file (re-read if changed),
+ * otherwise its inline SYSTEM_PROMPT, rendered with the call's variables.
+ * @returns {string}
+ */
+function renderSystemPrompt(profile, vars = {}) {
+  const file = promptFileFor(profile);
+  let template = file ? readTemplate(file) : null;
+  if (file && template === null) {
+    logger.error(`Prompt file ${file} for profile "${profile.name}" is not readable; falling back to SYSTEM_PROMPT`);
+  }
+  if (!template) template = profile.SYSTEM_PROMPT || '';
+  return renderTemplate(template, vars);
+}
+
+/** Rendered INITIAL_MESSAGE (same variables as the system prompt). */
+function renderInitialMessage(profile, vars = {}) {
+  return renderTemplate(profile.INITIAL_MESSAGE || 'Hi', vars);
+}
+
+/** Startup check: true if the profile resolves to a non-empty prompt. */
+function hasSystemPrompt(profile) {
+  const file = promptFileFor(profile);
+  return Boolean((file && readTemplate(file)) || (profile.SYSTEM_PROMPT && profile.SYSTEM_PROMPT.trim()));
+}
+
+module.exports = { buildPromptVariables, renderSystemPrompt, renderInitialMessage, hasSystemPrompt };
@@ -0,0 +1,189 @@
+// recording.js
+// Stereo WAV recording of the whole call: caller on the left channel (frames as
+// the RTP receiver passes them on), assistant on the right (frames as the RTP
+// sender puts them on the wire, so barge-in cuts are recorded as heard). Both
+// channels are kept aligned to the wall clock by inserting silence for gaps.
+// The file sits next to the transcript with the same name and a .wav extension.
+
+const fs = require('fs');
+const path = require('path');
+const { config, logger } = require('./config');
+const { sipMap } = require('./state');
+const { transcriptPath, appendTranscriptFooter } = require('./transcript');
+
+logger.info('Loading recording.js module');
+
+const ALIGN_TOLERANCE_MS = 40; // lag a channel may have before silence is inserted
+const WAV_HEADER_BYTES = 44;
+
+function wavHeader(rate, dataBytes) {
+  const h = Buffer.alloc(WAV_HEADER_BYTES);
+  h.write('RIFF', 0);
+  h.writeUInt32LE(36 + dataBytes, 4);
+  h.write('WAVE', 8);
+  h.write('fmt ', 12);
+  h.writeUInt32LE(16, 16);
+  h.writeUInt16LE(1, 20);          // PCM
+  h.writeUInt16LE(2, 22);          // stereo
+  h.writeUInt32LE(rate, 24);
+  h.writeUInt32LE(rate * 4, 28);   // byte rate
+  h.writeUInt16LE(4, 32);          // block align
+  h.writeUInt16LE(16, 34);
+  h.write('data', 36);
+  h.writeUInt32LE(dataBytes, 40);
+  return h;
+}
+
+/** Where the recording of a call goes: the transcript path with .wav. */
+function recordingPath(channelId) {
+  return transcriptPath(channelId).replace(/\.txt$/, '') + '.wav';
+}
+
+/**
+ * @param {Object} p
+ * @param {string} p.channelId
+ * @param {Object} p.media - per-call codec from codec.js (decoder and sample rate)
+ * @returns {{ file: string, caller: Function, assistant: Function, close: Function }}
+ */
+function createCallRecorder({ channelId, media }) {
+  const file = recordingPath(channelId);
+  const rate = media.codec.rate;
+  const startedAt = Date.now();
+  const out = fs.createWriteStream(file);
+  out.on('error', (e) => logger.error(`Recording write failed for ${channelId}: ${e.message}`));
+  out.write(wavHeader(rate, 0)); // sizes are patched on close
+
+  // Per party: samples not yet interleaved, and samples accounted since start
+  const parties = { caller: { pending: [], length: 0, written: 0 }, assistant: { pending: [], length: 0, written: 0 } };
+  let dataBytes = 0;
+  let closed = false;
+
+  const position = (p) => p.written + p.length;
+
+  function append(p, pcm) {
+    p.pending.push(pcm);
+    p.length += pcm.length;
+  }
+
+  /** Silence for a party that fell behind the clock (nothing received for it). */
+  function catchUp(p, target) {
+    const missing = target - position(p);
+    if (missing > 0) append(p, new Int16Array(missing));
+  }
+
+  function take(p, n) {
+    let merged = p.pending[0];
+    if (p.pending.length > 1) {
+      merged = new Int16Array(p.length);
+      let offset = 0;
+      for (const chunk of p.pending) {
+        merged.set(chunk, offset);
+        offset += chunk.length;
+      }
+    }
+    p.pending = n < merged.length ? [merged.subarray(n)] : [];
+    p.length -= n;
+    p.written += n;
+    return merged;
+  }
+
+  /** Interleave what both parties have in common and write it out. */
+  function drain() {
+    const { caller, assistant } = parties;
+    const n = Math.min(caller.length, assistant.length);
+    if (!n) return;
+    const left = take(caller, n);
+    const right = take(assistant, n);
+    const buf = Buffer.alloc(n * 4);
+    for (let i = 0; i < n; i++) {
+      buf.writeInt16LE(left[i], i * 4);
+      buf.writeInt16LE(right[i], i * 4 + 2);
+    }
+    dataBytes += buf.length;
+    out.write(buf);
+  }
+
+  function push(who, payload) {
+    if (closed || !payload.length) return;
+    const p = parties[who];
+    const now = Math.floor((Date.now() - startedAt) * rate / 1000);
+    const tolerance = ALIGN_TOLERANCE_MS * rate / 1000;
+    if (now - position(p) > tolerance) catchUp(p, now - payload.length / media.codec.bytesPerSample);
+    append(p, media.codec.decode(payload));
+    // The other party may have been quiet (no frames at all) for a while
+    const other = parties[who === 'caller' ? 'assistant' : 'caller'];
+    if (now - position(other) > tolerance) catchUp(other, now - tolerance);
+    drain();
+  }
+
+  return {
+    file,
+    /** Caller frame (Asterisk codec payload). */
+    caller: (payload) => push('caller', payload),
+    /** Assistant frame (Asterisk codec payload), when it is sent. */
+    assistant: (payload) => push('assistant', payload),
+
+    /**
+     * Finish the file: the shorter party is padded to the longer one (not to "now",
+     * so a call that sat in a queue after handoff does not get a silent tail).
+     * @returns {Promise<{ file: string, seconds: number }>}
+     */
+    async close() {
+      if (closed) return null;
+      closed = true;
+      const end = Math.max(position(parties.caller), position(parties.assistant));
+      catchUp(parties.caller, end);
+      catchUp(parties.assistant, end);
+      drain();
+      await new Promise((resolve) => out.end(resolve));
+      const fh = await fs.promises.open(file, 'r+');
+      try {
+        await fh.write(wavHeader(rate, dataBytes), 0, WAV_HEADER_BYTES, 0);
+      } finally {
+        await fh.close();
+      }
+      const seconds = Number((dataBytes / 4 / rate).toFixed(1));
+      logger.info(`Recording for ${channelId} saved: ${file} (${seconds}s)`);
+      return { file, seconds };
+    }
+  };
+}
+
+/**
+ * Start recording a call if its profile asks for it (RECORD_AUDIO).
+ * @returns {Object|null} the recorder, also stored as sipMap data.recorder
+ */
+function startRecording(channelId, media) {
+  const data = sipMap.get(channelId);
+  if (!data || !(data.profile || config).RECORD_AUDIO) return null;
+  try {
+    data.recorder = createCallRecorder({ channelId, media });
+    logger.info(`Recording call ${channelId} to ${data.recorder.file}`);
+    return data.recorder;
+  } catch (e) {
+    logger.error(`Recording could not start for ${channelId}: ${e.message}`);
+    return null;
+  }
+}
+
+/** Close the recording and note it in the transcript footer; the path is kept as data.recordingFile. */
+async function finalizeRecording(channelId) {
+  const data = sipMap.get(channelId);
+  if (!data || !data.recorder) return null;
+  const recorder = data.recorder;
+  data.recorder = null;
+  const result = await recorder.close();
+  if (!result) return null;
+  data.recordingFile = result.file;
+  await appendTranscriptFooter(channelId, { Recording: `${path.basename(result.file)} (${result.seconds}s, stereo: left caller, right assistant)` });
+  return result.file;
+}
+
+/** Email line for a recording: a link under RECORDING_URL_BASE, or the local path. */
+function recordingLink(file) {
+  if (!config.RECORDING_URL_BASE) return file;
+  const rel = path.relative(config.RECORDINGS_DIR || '/var/spool/asterisk/monitor', file).split(path.sep).map(encodeURIComponent).join('/');
+  return `${config.RECORDING_URL_BASE.replace(/\/+$/, '')}/${rel}`;
+}
+
+module.exports = { startRecording, finalizeRecording, recordingPath, recordingLink, createCallRecorder };
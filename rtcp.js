@@ -0,0 +1,397 @@
+// rtcp.js
+// RTCP on the companion port (RTP port + 1) of each ExternalMedia leg and per-call
+// voice quality. Inbound statistics (loss, interarrival jitter) are computed from
+// the received RTP as in RFC 3550 A.3/A.8, sent to Asterisk in periodic SR/RR
+// reports, and combined with Asterisk's own reports (outbound loss, round trip)
+// into an E-model MOS estimate. The summary is logged and written to the
+// transcript footer when the call is cleaned up.
+
+const dgram = require('dgram');
+const os = require('os');
+const { config, logger } = require('./config');
+const { sipMap } = require('./state');
+const { appendTranscriptFooter } = require('./transcript');
+const { publishCallEvent } = require('./events');
+const { rtpSocketType, hostPort, isAllowedSource, sameAddress } = require('./network');
+
+logger.info('Loading rtcp.js module');
+
+const RTCP_SR = 200;
+const RTCP_RR = 201;
+const RTCP_SDES = 202;
+const NTP_EPOCH_OFFSET = 2208988800; // seconds from 1900 to 1970
+const MAX_DROPOUT = 3000;
+const MAX_MISORDER = 100;
+const CNAME = `asterisk-openai@${os.hostname()}`;
+
+/** NTP timestamp of a wall-clock time: { msw, lsw, mid } (mid = middle 32 bits, used by LSR/DLSR). */
+function ntpTime(ms = Date.now()) {
+  const seconds = ms / 1000 + NTP_EPOCH_OFFSET;
+  const msw = Math.floor(seconds) >>> 0;
+  const lsw = Math.floor((seconds - Math.floor(seconds)) * 0x100000000) >>> 0;
+  return { msw, lsw, mid: (((msw & 0xFFFF) << 16) | (lsw >>> 16)) >>> 0 };
+}
+
+/**
+ * ITU-T G.107 E-model, simplified (no codec impairment): R from one-way delay,
+ * jitter and loss, mapped to a 1–4.5 MOS.
+ */
+function estimateMos({ lossPct = 0, jitterMs = 0, rttMs = 0 }) {
+  const latency = rttMs / 2 + 2 * jitterMs + 10;
+  let r = latency < 160 ? 93.2 - latency / 40 : 93.2 - (latency - 120) / 10;
+  r = Math.max(0, Math.min(100, r - 2.5 * lossPct));
+  const mos = 1 + 0.035 * r + 0.000007 * r * (r - 60) * (100 - r);
+  return Number(Math.max(1, Math.min(4.5, mos)).toFixed(2));
+}
+
+/**
+ * Reception statistics for one inbound RTP stream (RFC 3550 A.1, A.3, A.8).
+ * @param {number} clockRate - RTP timestamp units per second
+ */
+function createReceptionStats(clockRate) {
+  let ssrc = null;
+  let baseSeq = 0;
+  let maxSeq = 0;
+  let cycles = 0;
+  let received = 0;
+  let expectedPrior = 0;
+  let receivedPrior = 0;
+  let transit = null;
+  let jitter = 0; // timestamp units
+  let maxJitter = 0;
+
+  function init(seq) {
+    baseSeq = seq;
+    maxSeq = seq;
+    cycles = 0;
+    received = 0;
+    expectedPrior = 0;
+    receivedPrior = 0;
+    transit = null;
+  }
+
+  function expected() {
+    return received ? cycles + maxSeq - baseSeq + 1 : 0;
+  }
+
+  return {
+    get ssrc() { return ssrc; },
+
+    /** Account one received packet (parsed by jitter.parseRtpPacket). */
+    update(pkt, arrivalMs = Date.now()) {
+      if (pkt.ssrc !== ssrc) {
+        ssrc = pkt.ssrc;
+        init(pkt.seq);
+      } else {
+        const delta = (pkt.seq - maxSeq + 65536) % 65536;
+        if (delta < MAX_DROPOUT) {
+          if (pkt.seq < maxSeq) cycles += 65536;
+          maxSeq = pkt.seq;
+        } else if (delta <= 65536 - MAX_MISORDER) {
+          init(pkt.seq); // sender restarted its sequence
+        }
+        // else: duplicate or reordered, counted below
+      }
+      received++;
+
+      const arrival = (arrivalMs * clockRate) / 1000;
+      const t = arrival - pkt.timestamp;
+      if (transit !== null) {
+        const d = Math.abs(t - transit);
+        if (d < clockRate) jitter += (d - jitter) / 16;
+        maxJitter = Math.max(maxJitter, jitter);
+      }
+      transit = t;
+    },
+
+    /**
+     * Report block for an SR/RR; advances the interval counters.
+     * @returns {{ fractionLost: number, cumulativeLost: number, highestSeq: number, jitter: number }|null}
+     */
+    reportBlock() {
+      if (ssrc === null) return null;
+      const exp = expected();
+      const expectedInterval = exp - expectedPrior;
+      const lostInterval = expectedInterval - (received - receivedPrior);
+      expectedPrior = exp;
+      receivedPrior = received;
+      return {
+        ssrc,
+        fractionLost: expectedInterval > 0 && lostInterval > 0 ? Math.floor((lostInterval << 8) / expectedInterval) : 0,
+        cumulativeLost: Math.max(-0x800000, Math.min(0x7FFFFF, exp - received)),
+        highestSeq: (cycles + maxSeq) >>> 0,
+        jitter: Math.round(jitter)
+      };
+    },
+
+    /** Totals for the call. */
+    summary() {
+      const exp = expected();
+      const lost = Math.max(0, exp - received);
+      return {
+        expected: exp,
+        received,
+        lost,
+        lossPct: exp ? Number((lost / exp * 100).toFixed(2)) : 0,
+        jitterMs: Number((jitter / clockRate * 1000).toFixed(2)),
+        maxJitterMs: Number((maxJitter / clockRate * 1000).toFixed(2))
+      };
+    }
+  };
+}
+
+function writeReportBlock(buf, offset, block, lsr, dlsr) {
+  buf.writeUInt32BE(block.ssrc >>> 0, offset);
+  buf.writeUInt8(block.fractionLost & 0xFF, offset + 4);
+  buf.writeIntBE(block.cumulativeLost, offset + 5, 3);
+  buf.writeUInt32BE(block.highestSeq, offset + 8);
+  buf.writeUInt32BE(block.jitter >>> 0, offset + 12);
+  buf.writeUInt32BE(lsr >>> 0, offset + 16);
+  buf.writeUInt32BE(dlsr >>> 0, offset + 20);
+}
+
+/**
+ * Compound RTCP packet: SR (when we have sent RTP) or RR, followed by SDES CNAME.
+ * @param {Object} p
+ * @param {number} p.ssrc
+ * @param {Object|null} p.sender - { packets, octets, rtpTimestamp } or null for an RR
+ * @param {Object|null} p.block - reception report block or null
+ * @param {number} [p.lsr=0] - middle 32 bits of the last SR received
+ * @param {number} [p.dlsr=0] - delay since that SR, 1/65536 s
+ */
+function buildRtcpReport({ ssrc, sender, block, lsr = 0, dlsr = 0 }) {
+  const rc = block ? 1 : 0;
+  const head = sender ? 28 : 8;
+  const report = Buffer.alloc(head + rc * 24);
+  report[0] = 0x80 | rc;
+  report[1] = sender ? RTCP_SR : RTCP_RR;
+  report.writeUInt16BE(report.length / 4 - 1, 2);
+  report.writeUInt32BE(ssrc >>> 0, 4);
+  if (sender) {
+    const ntp = ntpTime();
+    report.writeUInt32BE(ntp.msw, 8);
+    report.writeUInt32BE(ntp.lsw, 12);
+    report.writeUInt32BE(sender.rtpTimestamp >>> 0, 16);
+    report.writeUInt32BE(sender.packets >>> 0, 20);
+    report.writeUInt32BE(sender.octets >>> 0, 24);
+  }
+  if (block) writeReportBlock(report, head, block, lsr, dlsr);
+
+  // SDES: one chunk with CNAME, null-terminated and padded to 32 bits
+  const cname = Buffer.from(CNAME).subarray(0, 255);
+  const chunkLen = Math.ceil((4 + 2 + cname.length + 1) / 4) * 4;
+  const sdes = Buffer.alloc(4 + chunkLen);
+  sdes[0] = 0x81;
+  sdes[1] = RTCP_SDES;
+  sdes.writeUInt16BE(sdes.length / 4 - 1, 2);
+  sdes.writeUInt32BE(ssrc >>> 0, 4);
+  sdes[8] = 1; // CNAME
+  sdes[9] = cname.length;
+  cname.copy(sdes, 10);
+  return Buffer.concat([report, sdes]);
+}
+
+/**
+ * Parse the SR/RR parts of a compound RTCP packet (other types are skipped).
+ * @returns {{ type: string, ssrc: number, sender?: Object, blocks: Object[] }[]}
+ */
+function parseRtcpPacket(buf) {
+  const out = [];
+  let offset = 0;
+  while (offset + 4 <= buf.length) {
+    if ((buf[offset] >> 6) !== 2) break;
+    const rc = buf[offset] & 0x1F;
+    const pt = buf[offset + 1];
+    const end = offset + (buf.readUInt16BE(offset + 2) + 1) * 4;
+    if (end > buf.length) break;
+    if ((pt === RTCP_SR || pt === RTCP_RR) && end - offset >= 8) {
+      const pkt = { type: pt === RTCP_SR ? 'SR' : 'RR', ssrc: buf.readUInt32BE(offset + 4), blocks: [] };
+      let pos = offset + 8;
+      if (pt === RTCP_SR && end - offset >= 28) {
+        const msw = buf.readUInt32BE(offset + 8);
+        const lsw = buf.readUInt32BE(offset + 12);
+        pkt.sender = {
+          ntpMid: (((msw & 0xFFFF) << 16) | (lsw >>> 16)) >>> 0,
+          rtpTimestamp: buf.readUInt32BE(offset + 16),
+          packets: buf.readUInt32BE(offset + 20),
+          octets: buf.readUInt32BE(offset + 24)
+        };
+        pos = offset + 28;
+      }
+      for (let i = 0; i < rc && pos + 24 <= end; i++, pos += 24) {
+        pkt.blocks.push({
+          ssrc: buf.readUInt32BE(pos),
+          fractionLost: buf[pos + 4],
+          cumulativeLost: buf.readIntBE(pos + 5, 3),
+          highestSeq: buf.readUInt32BE(pos + 8),
+          jitter: buf.readUInt32BE(pos + 12),
+          lsr: buf.readUInt32BE(pos + 16),
+          dlsr: buf.readUInt32BE(pos + 20)
+        });
+      }
+      out.push(pkt);
+    }
+    offset = end;
+  }
+  return out;
+}
+
+/**
+ * Quality monitor for one call: reception stats from the RTP receiver, plus an
+ * RTCP socket on rtpPort + 1 when RTCP_ENABLED. A port that cannot be bound only
+ * disables the reports; local statistics are still kept.
+ * @param {Object} p
+ * @param {string} p.channelId
+ * @param {number} p.rtpPort - local RTP port (even); RTCP uses the next one
+ * @param {Object} p.media - per-call codec from codec.js (clock rate)
+ * @returns {{ onRtp: Function, onRtcp: Function, stats: Function, close: Function }}
+ */
+function createQualityMonitor({ channelId, rtpPort, media }) {
+  const clockRate = media.codec.rate;
+  const reception = createReceptionStats(clockRate);
+  const ownSsrc = Math.floor(Math.random() * 0xFFFFFFFF);
+  const remote = { reports: 0, fractionLost: 0, cumulativeLost: 0, jitterMs: 0, maxJitterMs: 0, rttMs: null, maxRttMs: null };
+  let lastSr = null; // { mid, at } of the last SR from Asterisk
+  let rtcpPeer = null;
+  let socket = null;
+  let timer = null;
+  let closed = false;
+
+  const senderStats = () => {
+    const data = sipMap.get(channelId);
+    const handler = data && data.streamHandler;
+    return handler && typeof handler.getSenderStats === 'function' ? handler.getSenderStats() : null;
+  };
+  const currentSsrc = () => {
+    const sender = senderStats();
+    return sender ? sender.ssrc : ownSsrc;
+  };
+
+  function sendReport() {
+    if (closed || !socket) return;
+    const data = sipMap.get(channelId);
+    const peer = rtcpPeer || (data && data.rtpSource ? { address: data.rtpSource.address, port: data.rtpSource.port + 1 } : null);
+    if (!peer) return;
+    const sender = senderStats();
+    const now = Date.now();
+    const report = buildRtcpReport({
+      ssrc: sender ? sender.ssrc : ownSsrc,
+      sender: sender && sender.packets ? {
+        packets: sender.packets,
+        octets: sender.octets,
+        // Extrapolate the media clock to "now" for the SR's NTP/RTP pairing
+        rtpTimestamp: sender.rtpTimestamp + Math.round((now - sender.lastSentAt) * clockRate / 1000)
+      } : null,
+      block: reception.reportBlock(),
+      lsr: lastSr ? lastSr.mid : 0,
+      dlsr: lastSr ? Math.round((now - lastSr.at) * 65.536) : 0
+    });
+    socket.send(report, peer.port, peer.address, (err) => {
+      if (err) logger.warn(`RTCP send failed for ${channelId} to ${hostPort(peer.address, peer.port)}: ${err.message}`);
+    });
+  }
+
+  /** Reports from Asterisk: its view of our stream and the round trip. */
+  function onRtcp(msg, rinfo) {
+    const data = sipMap.get(channelId);
+    if (data && data.rtpSource ? !sameAddress(rinfo.address, data.rtpSource.address) : !isAllowedSource(rinfo.address)) return;
+    rtcpPeer = { address: rinfo.address, port: rinfo.port };
+    const arrival = Date.now();
+    const ours = currentSsrc();
+    for (const pkt of parseRtcpPacket(msg)) {
+      if (pkt.sender) lastSr = { mid: pkt.sender.ntpMid, at: arrival };
+      for (const block of pkt.blocks) {
+        if (block.ssrc !== ours) continue;
+        remote.reports++;
+        remote.fractionLost = block.fractionLost;
+        remote.cumulativeLost = Math.max(0, block.cumulativeLost);
+        remote.jitterMs = Number((block.jitter / clockRate * 1000).toFixed(2));
+        remote.maxJitterMs = Math.max(remote.maxJitterMs, remote.jitterMs);
+        if (block.lsr) {
+          // RFC 3550 6.4.1: RTT = A - LSR - DLSR, in 1/65536 s on the NTP middle-32-bit clock
+          const rtt = ((ntpTime(arrival).mid - block.lsr - block.dlsr) >>> 0) / 65.536;
+          if (rtt < 10000) {
+            remote.rttMs = Math.round(rtt);
+            remote.maxRttMs = Math.max(remote.maxRttMs || 0, remote.rttMs);
+          }
+        }
+      }
+    }
+  }
+
+  function stats() {
+    const inbound = reception.summary();
+    const sender = senderStats();
+    const sent = sender ? sender.packets : 0;
+    const outboundLossPct = remote.reports && sent ? Number(Math.min(100, remote.cumulativeLost / sent * 100).toFixed(2)) : null;
+    const rttMs = remote.rttMs || 0;
+    return {
+      inbound,
+      outbound: remote.reports ? { sent, lost: remote.cumulativeLost, lossPct: outboundLossPct, jitterMs: remote.jitterMs, maxJitterMs: remote.maxJitterMs } : { sent },
+      rttMs: remote.rttMs,
+      mosInbound: inbound.received ? estimateMos({ lossPct: inbound.lossPct, jitterMs: inbound.jitterMs, rttMs }) : null,
+      mosOutbound: remote.reports ? estimateMos({ lossPct: outboundLossPct || 0, jitterMs: remote.jitterMs, rttMs }) : null
+    };
+  }
+
+  if (config.RTCP_ENABLED) {
+    socket = dgram.createSocket(rtpSocketType());
+    socket.on('message', onRtcp);
+    socket.on('error', (err) => {
+      logger.warn(`RTCP for ${channelId} on port ${rtpPort + 1} unavailable: ${err.message}; quality stats kept without reports`);
+      clearInterval(timer);
+      try { socket.close(); } catch (_) {}
+      socket = null;
+    });
+    socket.bind(rtpPort + 1, config.RTP_BIND_ADDRESS, () => {
+      logger.info(`RTCP for ${channelId} listening on ${hostPort(config.RTP_BIND_ADDRESS, rtpPort + 1)}`);
+      timer = setInterval(sendReport, config.RTCP_INTERVAL_SECONDS * 1000);
+    });
+  }
+
+  return {
+    /** Account an inbound RTP packet (already parsed). */
+    onRtp: (pkt, arrivalMs) => { if (!closed) reception.update(pkt, arrivalMs); },
+    /** RTCP that arrived on the RTP port (rtcp-mux). */
+    onRtcp,
+    stats,
+    /** Stop reporting; the final numbers are stored on the call and logged. */
+    close() {
+      if (closed) return null;
+      sendReport(); // final report so Asterisk has the complete picture
+      closed = true;
+      clearInterval(timer);
+      if (socket) {
+        try { socket.close(); } catch (_) {}
+        socket = null;
+      }
+      const s = stats();
+      const data = sipMap.get(channelId);
+      if (data) data.quality = s;
+      const i = s.inbound;
+      logger.info(`Voice quality for ${channelId}: inbound received=${i.received} lost=${i.lost} (${i.lossPct}%) jitter=${i.jitterMs}ms max=${i.maxJitterMs}ms MOS=${s.mosInbound ?? 'n/a'}` +
+        (s.mosOutbound !== null ? `; outbound lost=${s.outbound.lost} (${s.outbound.lossPct}%) jitter=${s.outbound.jitterMs}ms MOS=${s.mosOutbound}` : '; no RTCP reports from Asterisk') +
+        (s.rttMs !== null ? `; rtt=${s.rttMs}ms` : ''));
+      publishCallEvent(channelId, 'call.quality', s);
+      return s;
+    }
+  };
+}
+
+/** Voice-quality lines in the transcript footer (from the stats stored by close()). */
+async function finalizeQuality(channelId) {
+  const data = sipMap.get(channelId);
+  if (!data || !data.quality) return;
+  const { inbound: i, outbound: o, rttMs, mosInbound, mosOutbound } = data.quality;
+  const footer = {
+    'Inbound RTP': `received=${i.received} lost=${i.lost} (${i.lossPct}%) jitter=${i.jitterMs}ms max=${i.maxJitterMs}ms`,
+    'Outbound RTP': o.lossPct !== undefined
+      ? `sent=${o.sent} lost=${o.lost} (${o.lossPct}%) jitter=${o.jitterMs}ms max=${o.maxJitterMs}ms`
+      : `sent=${o.sent} (no RTCP reports from Asterisk)`,
+    'Estimated MOS': `inbound ${mosInbound ?? 'n/a'}, outbound ${mosOutbound ?? 'n/a'}`
+  };
+  if (rttMs !== null) footer['Round trip'] = `${rttMs}ms`;
+  await appendTranscriptFooter(channelId, footer);
+}
+
+module.exports = { createQualityMonitor, finalizeQuality, estimateMos, buildRtcpReport, parseRtcpPacket };
@@ -2,70 +2,212 @@ const dgram = require('dgram');
 const { EventEmitter } = require('events');
 const { config, logger } = require('./config');
 const { sipMap, rtpSenders, rtpReceivers } = require('./state');
+const { createJitterBuffer, parseRtpPacket } = require('./jitter');
+const { createQualityMonitor } = require('./rtcp');
+const { subscribePlayout } = require('./clock');
+const { createUplink } = require('./uplink');
+const { createOutboundGain, createInboundGain } = require('./gain');
+const { rtpSocketType, socketTypeFor, senderBindAddress, destinationFor, hostPort, isAllowedSource, sameAddress } = require('./network');
 
 logger.info('Loading rtp.js module');
 
 const usedRtpPorts = new Set();
 const rtpEvents = new EventEmitter();
 
-function getNextRtpPort() {
-  let port = config.RTP_PORT_START;
-  while (usedRtpPorts.has(port)) port += 2;
-  if (usedRtpPorts.size >= config.MAX_CONCURRENT_CALLS) {
-    logger.warn('Maximum concurrent calls reached, reusing oldest port');
-    const oldestPort = Math.min(...usedRtpPorts);
-    usedRtpPorts.delete(oldestPort);
-    return oldestPort;
+// Even ports in RTP_PORT_START..RTP_PORT_END, handed out round-robin so a port
+// released a moment ago (stray packets may still arrive) is the last to be reused
+const portCount = Math.floor((config.RTP_PORT_END - config.RTP_PORT_START) / 2) + 1;
+let nextPortIndex = 0;
+
+/**
+ * Reserve a free port, or null when the range or MAX_CONCURRENT_CALLS is exhausted.
+ * A port is never handed out twice until releaseRtpPort().
+ * @param {Set<number>} [skip] - ports not to try again (failed to bind)
+ */
+function allocateRtpPort(skip = new Set()) {
+  if (usedRtpPorts.size >= config.MAX_CONCURRENT_CALLS) return null;
+  for (let i = 0; i < portCount; i++) {
+    const index = (nextPortIndex + i) % portCount;
+    const port = config.RTP_PORT_START + index * 2;
+    if (usedRtpPorts.has(port) || skip.has(port)) continue;
+    usedRtpPorts.add(port);
+    nextPortIndex = (index + 1) % portCount;
+    return port;
   }
-  usedRtpPorts.add(port);
-  return port;
+  return null;
 }
 
 function releaseRtpPort(port) {
   usedRtpPorts.delete(port);
 }
 
-function startRTPReceiver(channelId, port) {
-  const rtpReceiver = dgram.createSocket('udp4');
-  rtpReceiver.isOpen = true;
-  rtpReceivers.set(channelId, rtpReceiver);
+/**
+ * Reserve a port and bind the call's RTP receiver on it, moving on to the next
+ * free port if the bind fails (EADDRINUSE: something else owns it).
+ * @returns {Promise<number>} the bound port
+ * @throws {Error} code 'ERTPPORTS' when no port is free
+ */
+async function openRtpReceiver(channelId, media) {
+  const failed = new Set();
+  for (;;) {
+    const port = allocateRtpPort(failed);
+    if (port === null) {
+      const err = new Error(`No free RTP port for ${channelId} (${usedRtpPorts.size} in use, range ${config.RTP_PORT_START}-${config.RTP_PORT_END}, MAX_CONCURRENT_CALLS=${config.MAX_CONCURRENT_CALLS})`);
+      err.code = 'ERTPPORTS';
+      throw err;
+    }
+    try {
+      await startRTPReceiver(channelId, port, media);
+      return port;
+    } catch (e) {
+      releaseRtpPort(port);
+      if (e.code !== 'EADDRINUSE' && e.code !== 'EACCES') throw e;
+      failed.add(port);
+      logger.warn(`RTP port ${port} unavailable for ${channelId} (${e.code}); trying the next one`);
+    }
+  }
+}
+
+/**
+ * Receive caller audio from the ExternalMedia channel and forward it to the OpenAI session.
+ * @param {Object} media - per-call codec from codec.js (createMediaCodec)
+ * @returns {Promise<void>} resolves once bound; rejects with the bind error (e.g. EADDRINUSE)
+ */
+function startRTPReceiver(channelId, port, media) {
+  const rtpReceiver = dgram.createSocket(rtpSocketType());
+
+  // Batching, local VAD and manual turn commits on the way to OpenAI
+  const uplink = createUplink({ channelId, media });
+  let inbound = null; // INBOUND_GAIN_DB stage, set up once the call (and its profile) is in sipMap
+  const forward = (payload) => {
+    const data = sipMap.get(channelId);
+    if (!inbound && data) inbound = createInboundGain(data.profile || config);
+    if (inbound && inbound.active) payload = media.codec.encode(inbound.process(media.codec.decode(payload)));
+    const recorder = data?.recorder;
+    if (recorder) recorder.caller(payload);
+    uplink.push(payload);
+  };
+  // Reorder, de-duplicate and conceal loss before the audio reaches the model
+  const jitter = config.JITTER_BUFFER_ENABLED
+    ? createJitterBuffer({
+      channelId,
+      onFrame: forward,
+      minDelayMs: config.JITTER_MIN_DELAY_MS,
+      maxDelayMs: config.JITTER_MAX_DELAY_MS,
+      maxConcealMs: config.JITTER_MAX_CONCEAL_MS,
+      bytesPerMs: media.bytesPerMs,
+      clockRate: media.codec.rate,
+      silenceByte: media.codec.silenceByte
+    })
+    : null;
+  rtpReceiver.jitter = jitter;
+  let quality = null; // loss/jitter/MOS and RTCP on port + 1, started once the port is bound
+  let strayPackets = 0;
+  const senderBind = senderBindAddress();
+
+  /**
+   * Only allowed senders the RTP sender can answer (same address family), and within
+   * a call only the sender that was heard first.
+   */
+  const acceptSource = (rinfo, channelData) => {
+    const source = channelData && channelData.rtpSource;
+    let why = null;
+    if (source) {
+      if (!sameAddress(rinfo.address, source.address) || rinfo.port !== source.port) why = `call media comes from ${hostPort(source.address, source.port)}`;
+    } else if (!isAllowedSource(rinfo.address)) {
+      why = 'not in RTP_ALLOWED_SOURCES / ARI host';
+    } else if (!destinationFor(senderBind, rinfo.address)) {
+      why = `RTP is sent from ${senderBind}, which cannot reach this address family`;
+    }
+    if (why && strayPackets++ === 0) {
+      logger.warn(`Dropping RTP for ${channelId} from unexpected source ${hostPort(rinfo.address, rinfo.port)} (${why})`);
+    }
+    return !why;
+  };
 
-  rtpReceiver.on('listening', () => logger.info(`RTP Receiver for ${channelId} listening on 127.0.0.1:${port}`));
+  rtpReceiver.on('listening', () => logger.info(`RTP Receiver for ${channelId} listening on ${hostPort(config.RTP_BIND_ADDRESS, port)}`));
+  let payloadTypeChecked = false;
   rtpReceiver.on('message', (msg, rinfo) => {
     const channelData = sipMap.get(channelId);
+    if (!acceptSource(rinfo, channelData)) return;
     if (channelData && !channelData.rtpSource) {
       channelData.rtpSource = { address: rinfo.address, port: rinfo.port };
       sipMap.set(channelId, channelData);
-      logger.info(`RTP source assigned for ${channelId}: ${rinfo.address}:${rinfo.port}`);
+      logger.info(`RTP source assigned for ${channelId}: ${hostPort(rinfo.address, rinfo.port)}`);
     }
-    if (channelData && channelData.ws && channelData.ws.readyState === 1) {
-      const muLawData = msg.slice(12);
-      channelData.ws.send(JSON.stringify({ type: 'input_audio_buffer.append', audio: muLawData.toString('base64') }));
+    // RTCP multiplexed on the RTP port (RFC 5761: packet types 200-204)
+    if (msg.length >= 2 && msg[1] >= 200 && msg[1] <= 204) {
+      if (quality) quality.onRtcp(msg, rinfo);
+      return;
     }
+    // Parsed once here; the jitter buffer and quality monitor take the parsed packet
+    const pkt = parseRtpPacket(msg);
+    if (!pkt) return;
+    if (!payloadTypeChecked) {
+      payloadTypeChecked = true;
+      // Dynamic payload types (slin16): answer with whatever Asterisk sends us
+      if (pkt.payloadType !== media.payloadType) {
+        logger.info(`RTP payload type for ${channelId}: ${pkt.payloadType} (${media.codec.name})`);
+        media.payloadType = pkt.payloadType;
+      }
+    }
+    if (quality) quality.onRtp(pkt);
+    if (jitter) {
+      jitter.push(pkt);
+    } else {
+      forward(pkt.payload);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    const onBindError = (err) => {
+      rtpReceiver.close();
+      reject(err);
+    };
+    rtpReceiver.once('error', onBindError);
+    rtpReceiver.bind(port, config.RTP_BIND_ADDRESS, () => {
+      rtpReceiver.off('error', onBindError);
+      rtpReceiver.isOpen = true;
+      rtpReceivers.set(channelId, rtpReceiver);
+      quality = createQualityMonitor({ channelId, rtpPort: port, media });
+      rtpReceiver.quality = quality;
+      rtpReceiver.on('close', () => {
+        if (strayPackets) logger.warn(`RTP receiver for ${channelId} dropped ${strayPackets} packet(s) from unexpected sources`);
+        if (jitter) jitter.close();
+        uplink.close();
+        quality.close();
+      });
+      rtpReceiver.on('error', (err) => logger.error(`RTP Receiver error for ${channelId}: ${err.message}`));
+      resolve();
+    });
   });
-  rtpReceiver.on('error', (err) => logger.error(`RTP Receiver error for ${channelId}: ${err.message}`));
-  rtpReceiver.bind(port, '127.0.0.1');
 }
 
-function buildRTPHeader(seq, timestamp, ssrc) {
+function buildRTPHeader(seq, timestamp, ssrc, payloadType = 0) {
   const header = Buffer.alloc(12);
   header[0] = 0x80;
-  header[1] = 0x00;
+  header[1] = payloadType & 0x7F;
   header.writeUInt16BE(seq, 2);
   header.writeUInt32BE(timestamp, 4);
   header.writeUInt32BE(ssrc, 8);
   return header;
 }
 
-async function streamAudio(channelId, rtpSource) {
-  logger.info(`Initializing RTP stream to ${rtpSource.address}:${rtpSource.port} for ${channelId}`);
+/**
+ * Paced RTP playout of assistant audio to the ExternalMedia channel.
+ * @param {Object} media - per-call codec from codec.js; sets frame size, timestamps and payload type
+ */
+async function streamAudio(channelId, rtpSource, media) {
+  logger.info(`Initializing RTP stream to ${hostPort(rtpSource.address, rtpSource.port)} for ${channelId} (${media.codec.name}, ${media.frameBytes} bytes per 20 ms)`);
   let audioBuffer = Buffer.alloc(0);
   let rtpSequence = Math.floor(Math.random() * 65535);
   let rtpTimestamp = 0;
   const rtpSsrc = Math.floor(Math.random() * 4294967295);
   let totalPacketsSent = 0;
   const maxBufferSize = 640;
-  const samplesPerPacket = 160;
+  const bytesPerPacket = media.frameBytes;
+  const samplesPerPacket = media.samplesPerFrame;
+  const silenceByte = media.codec.silenceByte;
   let lastBufferWarnTime = 0;
   let totalBytesSent = 0;
   let isSocketClosed = false;
@@ -73,14 +215,26 @@ async function streamAudio(channelId, rtpSource) {
   let packetsPerSecond = 0;
   let lastSecond = Date.now();
   let packetQueue = [];
-  let intervalId = null;
+  let unsubscribePlayout = null; // set while this stream is on the shared playout clock
+  let filler = null; // filler.js source, played only while packetQueue is empty
+  let lastSentTimestamp = 0;
+  let lastSentAt = Date.now();
+  // Gain, loudness normalization and limiter for assistant audio (gain.js), per profile
+  const outbound = createOutboundGain((sipMap.get(channelId) || {}).profile || config);
+  // Assistant audio actually put on the wire, per OpenAI item (for barge-in truncation)
+  const playedBytesByItem = new Map();
+  let lastPlayedItemId = null;
 
-  const rtpSender = dgram.createSocket('udp4');
+  // Send from the RTP interface, so a remote Asterisk sees our media come from where it sends to
+  const senderBind = senderBindAddress();
+  const rtpSender = dgram.createSocket(socketTypeFor(senderBind));
+  rtpSender.on('error', (err) => logger.error(`RTP sender error for ${channelId} (bound to ${senderBind}): ${err.message}`));
+  rtpSender.bind(0, senderBind);
   rtpSender.isOpen = true;
   rtpSenders.set(channelId, rtpSender);
 
   function writeAudio(data) {
-    if (data.length === 0 || data.every(byte => byte === 0x7F)) {
+    if (data.length === 0 || data.every(byte => byte === silenceByte)) {
       logger.warn(`Received empty or silent audio for ${channelId}`);
       return false;
     }
@@ -97,46 +251,104 @@ async function streamAudio(channelId, rtpSource) {
     return true;
   }
 
-  function sendRtpPacket(packetBuffer) {
+  /**
+   * Queue audio for playout.
+   * @param {Buffer} packetBuffer - Asterisk-side codec bytes
+   * @param {string} [itemId] - OpenAI assistant item the audio belongs to (omit for padding/silence)
+   */
+  function sendRtpPacket(packetBuffer, itemId = null) {
     if (!sipMap.has(channelId) || isSocketClosed) {
       logger.info(`Cannot send RTP packet for ${channelId}: channel gone or socket closed`);
       return;
     }
+    stopFiller('audio arrived');
     let offset = 0;
     while (offset < packetBuffer.length) {
-      let packetData = packetBuffer.slice(offset, Math.min(offset + samplesPerPacket, packetBuffer.length));
-      offset += samplesPerPacket;
-      if (packetData.length < samplesPerPacket) {
-        packetData = Buffer.concat([packetData, Buffer.alloc(samplesPerPacket - packetData.length, 0x7F)]);
+      let packetData = packetBuffer.slice(offset, Math.min(offset + bytesPerPacket, packetBuffer.length));
+      offset += bytesPerPacket;
+      const audioBytes = packetData.length;
+      if (packetData.length < bytesPerPacket) {
+        packetData = Buffer.concat([packetData, Buffer.alloc(bytesPerPacket - packetData.length, silenceByte)]);
       }
-      packetQueue.push({ data: packetData, seq: rtpSequence, timestamp: rtpTimestamp });
+      if (outbound.active) packetData = media.codec.encode(outbound.process(media.codec.decode(packetData)));
+      packetQueue.push({ data: packetData, seq: rtpSequence, timestamp: rtpTimestamp, itemId, audioBytes });
       rtpSequence = (rtpSequence + 1) % 65536;
       rtpTimestamp += samplesPerPacket;
     }
-    if (!intervalId) {
+    if (!unsubscribePlayout) {
       processPacketQueue();
     }
   }
 
-  function stopPlayback() {
-    if (intervalId) {
-      clearInterval(intervalId);
-      intervalId = null;
+  function leaveClock() {
+    if (unsubscribePlayout) {
+      unsubscribePlayout();
+      unsubscribePlayout = null;
     }
-    packetQueue = [];
+  }
+
+  /**
+   * Play filler frames while there is no assistant audio queued. The frames never
+   * enter packetQueue, so waitForBufferEmpty and barge-in bookkeeping do not see them.
+   * @param {{ type: string, next: Function }} source - from filler.js
+   */
+  function startFiller(source) {
+    if (isSocketClosed || !source) return;
+    filler = source;
+    logger.info(`Filler (${source.type}) started for ${channelId}`);
+    if (!unsubscribePlayout) processPacketQueue();
+  }
+
+  function stopFiller(why) {
+    if (!filler) return;
+    filler = null;
+    logger.info(`Filler stopped for ${channelId} (${why})`);
+  }
+
+  function stopPlayback() {
+    stopFiller('playback stopped');
+    leaveClock();
+    // Empty in place: the handler object exposes this same array to waitForBufferEmpty
+    packetQueue.length = 0;
     logger.info(`Playback stopped for ${channelId}`);
   }
 
+  /**
+   * What the caller has actually heard of the most recent assistant item.
+   * @returns {{ itemId: string|null, playedMs: number, pendingMs: number }}
+   */
+  function getPlayback() {
+    const pending = packetQueue.find(p => p.itemId);
+    const itemId = pending ? pending.itemId : lastPlayedItemId;
+    if (!itemId) return { itemId: null, playedMs: 0, pendingMs: 0 };
+    const pendingBytes = packetQueue.reduce((n, p) => n + (p.itemId === itemId ? p.audioBytes : 0), 0);
+    return {
+      itemId,
+      playedMs: Math.floor((playedBytesByItem.get(itemId) || 0) / media.bytesPerMs),
+      pendingMs: Math.ceil(pendingBytes / media.bytesPerMs)
+    };
+  }
+
+  /** Send one packet per tick of the shared playout clock (clock.js) until the queue is empty. */
   function processPacketQueue() {
-    if (intervalId) {
+    if (unsubscribePlayout) {
       return;
     }
 
-    let isFirstPacketAfterResume = !intervalId;
-    intervalId = setInterval(() => {
+    let isFirstPacketAfterResume = true;
+    unsubscribePlayout = subscribePlayout(channelId, () => {
+      if (packetQueue.length === 0 && filler && sipMap.has(channelId) && !isSocketClosed) {
+        const frame = filler.next();
+        if (frame) {
+          sendPacket({ data: frame, seq: rtpSequence, timestamp: rtpTimestamp, itemId: null, audioBytes: 0 });
+          rtpSequence = (rtpSequence + 1) % 65536;
+          rtpTimestamp += samplesPerPacket;
+          return;
+        }
+        stopFiller('finished');
+      }
       if (packetQueue.length === 0) {
-        clearInterval(intervalId);
-        intervalId = null;
+        leaveClock();
         logger.info(`Finished sending delta buffer for ${channelId}, total packets: ${totalPacketsSent}, queue size: ${packetQueue.length}`);
         rtpEvents.emit('audioFinished', channelId);
         return;
@@ -144,26 +356,37 @@ async function streamAudio(channelId, rtpSource) {
 
       if (!sipMap.has(channelId) || isSocketClosed) {
         logger.info(`Channel ${channelId} gone or socket closed, emitting audioFinished, queue size: ${packetQueue.length}`);
-        clearInterval(intervalId);
-        intervalId = null;
+        leaveClock();
         rtpEvents.emit('audioFinished', channelId);
         return;
       }
 
       const packet = packetQueue.shift();
+      if (packet.itemId) {
+        playedBytesByItem.set(packet.itemId, (playedBytesByItem.get(packet.itemId) || 0) + packet.audioBytes);
+        lastPlayedItemId = packet.itemId;
+      }
+      sendPacket(packet);
+    });
+
+    function sendPacket(packet) {
       const startTime = Date.now();
-      const header = buildRTPHeader(packet.seq, packet.timestamp, rtpSsrc);
+      const header = buildRTPHeader(packet.seq, packet.timestamp, rtpSsrc, media.payloadType);
       const rtpPacket = Buffer.concat([header, packet.data]);
       const channelData = sipMap.get(channelId) || {};
+      if (channelData.recorder) channelData.recorder.assistant(packet.data);
       const sendPort = channelData.rtpSource ? channelData.rtpSource.port : rtpSource.port;
-      const sendAddress = channelData.rtpSource ? channelData.rtpSource.address : rtpSource.address;
+      const sendAddress = destinationFor(senderBind, channelData.rtpSource ? channelData.rtpSource.address : rtpSource.address);
+      if (!sendAddress) return; // fallback destination of the wrong family; Asterisk not heard yet
 
       rtpSender.send(rtpPacket, sendPort, sendAddress, (err) => {
         if (err) {
-          logger.error(`Error sending RTP packet for ${channelId} to ${sendAddress}:${sendPort}: ${err.message}`);
+          logger.error(`Error sending RTP packet for ${channelId} to ${hostPort(sendAddress, sendPort)}: ${err.message}`);
         } else {
           totalPacketsSent++;
-          totalBytesSent += samplesPerPacket;
+          totalBytesSent += bytesPerPacket;
+          lastSentTimestamp = packet.timestamp;
+          lastSentAt = Date.now();
           packetsPerSecond++;
           const packetTime = Date.now();
           if (packetTime - lastSecond >= 10000) {
@@ -177,7 +400,7 @@ async function streamAudio(channelId, rtpSource) {
               ptimeStats.count++;
               ptimeStats.sum += interval;
               ptimeStats.min = Math.min(ptimeStats.min, interval);
-              ptimeStats.max = Math.min(ptimeStats.max, interval);
+              ptimeStats.max = Math.max(ptimeStats.max, interval);
             } else if (interval > 60) {
               logger.warn(`Critical ptime deviation: ${interval.toFixed(2)}ms for packet ${totalPacketsSent}, buffer size: ${audioBuffer.length} bytes for ${channelId}`);
             }
@@ -191,16 +414,17 @@ async function streamAudio(channelId, rtpSource) {
       if (processingTime > 5) {
         logger.warn(`High processing time for packet ${totalPacketsSent}: ${processingTime}ms`);
       }
-    }, 20);
+    }
   }
 
   function endStream() {
     const avgPtime = ptimeStats.count > 0 ? (ptimeStats.sum / ptimeStats.count).toFixed(2) : 'N/A';
     logger.info(`RTP stream ended for ${channelId}, total packets sent: ${totalPacketsSent}, total bytes: ${totalBytesSent}, final buffer: ${audioBuffer.length} bytes, avg ptime: ${avgPtime}ms`);
-    if (intervalId) {
-      clearInterval(intervalId);
-      intervalId = null;
+    if (outbound.active) {
+      const s = outbound.stats();
+      logger.info(`Outbound levels for ${channelId}: normalization ${s.normalizeDb} dB, limiter active on ${s.limitedFrames}/${s.frames} frames (max ${s.maxReductionDb} dB), ${s.clippedSamples} clipped sample(s)`);
     }
+    leaveClock();
     if (!isSocketClosed) {
       isSocketClosed = true;
       rtpSender.isOpen = false;
@@ -208,14 +432,23 @@ async function streamAudio(channelId, rtpSource) {
     }
   }
 
+  /** Counters for RTCP sender reports (rtcp.js). */
+  function getSenderStats() {
+    return { ssrc: rtpSsrc, packets: totalPacketsSent, octets: totalBytesSent, rtpTimestamp: lastSentTimestamp, lastSentAt };
+  }
+
   return {
     write: writeAudio,
     end: endStream,
     sendRtpPacket: sendRtpPacket,
     stopPlayback: stopPlayback,
+    getPlayback: getPlayback,
+    getSenderStats: getSenderStats,
+    startFiller: startFiller,
+    stopFiller: stopFiller,
     audioBuffer,
     packetQueue
   };
 }
 
-module.exports = { startRTPReceiver, getNextRtpPort, releaseRtpPort, streamAudio, rtpEvents };
+module.exports = { startRTPReceiver, openRtpReceiver, releaseRtpPort, streamAudio, rtpEvents };
@@ -0,0 +1,100 @@
+// supervisor.js
+// Server-Sent Events stream of live call events for supervisors, served by the
+// health server: GET /events[?channel=<id>] with SUPERVISOR_TOKEN as a Bearer
+// token or ?token= (EventSource cannot send headers).
+
+const crypto = require('crypto');
+const { config, logger } = require('./config');
+const { sipMap } = require('./state');
+const { callEvents } = require('./events');
+
+logger.info('Loading supervisor.js module');
+
+const HEARTBEAT_MS = 15000;
+let clients = 0;
+
+function tokenMatches(given) {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(config.SUPERVISOR_TOKEN);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/** Calls in progress, sent first so a new subscriber knows what is live. */
+function activeCalls(channelFilter) {
+  return [...sipMap.entries()]
+    .filter(([id, d]) => !d._cleaned && (!channelFilter || id === channelFilter))
+    .map(([id, d]) => ({
+      channelId: id,
+      callerId: d.callerId || 'unknown',
+      profile: d.profile ? d.profile.name : 'default',
+      startedAt: d.startedAt ? new Date(d.startedAt).toISOString() : null,
+      redirecting: !!d.redirecting
+    }));
+}
+
+const writeEvent = (res, type, data, id) =>
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+/**
+ * SUPERVISOR_TOKEN check for health-server endpoints with call data (/events, /usage),
+ * as a Bearer token or ?token=. Answers 404 (no token configured) or 401 itself.
+ * @returns {boolean} true when the request may proceed
+ */
+function authorizeSupervisor(req, res, url) {
+  if (!config.SUPERVISOR_TOKEN) {
+    res.writeHead(404);
+    res.end();
+    return false;
+  }
+  const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  if (!tokenMatches(bearer || url.searchParams.get('token'))) {
+    logger.warn(`${url.pathname} request rejected from ${req.socket.remoteAddress}: bad token`);
+    res.writeHead(401, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ error: 'unauthorized' }));
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Handle GET /events. Returns false if the request is not for this endpoint.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse}  res
+ * @param {URL}                  url
+ */
+function handleSupervisorRequest(req, res, url) {
+  if (url.pathname !== '/events') return false;
+  if (!authorizeSupervisor(req, res, url)) return true;
+  if (clients >= config.SUPERVISOR_MAX_CLIENTS) {
+    res.writeHead(503, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ error: 'too many supervisor connections' }));
+    return true;
+  }
+
+  const channelFilter = url.searchParams.get('channel') || null;
+  res.writeHead(200, {
+    'content-type': 'text/event-stream',
+    'cache-control': 'no-cache',
+    connection: 'keep-alive'
+  });
+  writeEvent(res, 'calls', activeCalls(channelFilter));
+
+  const onEvent = (evt) => {
+    if (channelFilter && evt.channelId !== channelFilter) return;
+    writeEvent(res, evt.type, evt, evt.id);
+  };
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  callEvents.on('event', onEvent);
+  clients++;
+  logger.info(`Supervisor connected from ${req.socket.remoteAddress} (channel=${channelFilter || 'all'}, clients=${clients})`);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    callEvents.off('event', onEvent);
+    clients--;
+    logger.info(`Supervisor disconnected from ${req.socket.remoteAddress} (clients=${clients})`);
+  });
+  return true;
+}
+
+module.exports = { handleSupervisorRequest, authorizeSupervisor };
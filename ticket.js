@@ -0,0 +1,142 @@
+// ticket.js
+// Post-call structured ticket extraction: asks the model for a JSON object
+// matching TICKET_SCHEMA_FILE (or the built-in outage schema) and saves it
+// next to the transcript as conversation-{callerId}-{channelId}.ticket.json.
+
+const fs = require('fs');
+const path = require('path');
+const { config, logger } = require('./config');
+const { sipMap } = require('./state');
+const { requestOutOfBandText } = require('./openai');
+const { transcriptPath } = require('./transcript');
+const { recordTextUsage } = require('./usage');
+
+logger.info('Loading ticket.js module');
+
+const nullable = (description, extra = {}) => ({ type: ['string', 'null'], description, ...extra });
+
+// Default schema: the fields our outage prompt collects
+const DEFAULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    caller_name: nullable('Full name of the caller'),
+    company: nullable('Company name for business services'),
+    service_type: nullable('Affected service', {
+      enum: ['internet', 'data transmission', 'dark fiber lease', 'phone', 'PBX', null]
+    }),
+    service_id: nullable('Service ID as shown on the invoice'),
+    address: nullable('Address where the outage occurs'),
+    description: nullable('Description of the issue'),
+    callback_number: nullable('Number the technical team should call back')
+  },
+  required: ['caller_name', 'company', 'service_type', 'service_id', 'address', 'description', 'callback_number'],
+  additionalProperties: false
+};
+
+function loadSchema() {
+  if (!config.TICKET_SCHEMA_FILE) return DEFAULT_SCHEMA;
+  const file = path.resolve(__dirname, config.TICKET_SCHEMA_FILE);
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    logger.error(`Failed to load TICKET_SCHEMA_FILE ${file}: ${e.message}; using built-in schema`);
+    return DEFAULT_SCHEMA;
+  }
+}
+
+const schema = loadSchema();
+
+const INSTRUCTIONS = 'Extract the support ticket from the conversation so far. ' +
+  'Reply with a single JSON object that matches this JSON schema and nothing else (no prose, no code fences). ' +
+  'Use null for anything the caller did not provide; do not invent values.\n' +
+  JSON.stringify(schema);
+
+/** Parse model output that should be JSON, tolerating stray prose or fences around it. */
+function parseJsonObject(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new Error('no JSON object in model output');
+  return JSON.parse(text.slice(start, end + 1));
+}
+
+/** Separate text request (Chat Completions) over the recorded conversation. */
+async function extractViaText(channelId, history, timeoutMs) {
+  const conversation = history.map(h => `${h.who}: ${h.text}`).join('\n');
+  const res = await fetch('https://api.openai.com/v1/chat/completions', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${config.OPENAI_API_KEY}`,
+      'content-type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: config.TICKET_MODEL,
+      messages: [
+        { role: 'system', content: 'You turn phone support conversations into structured tickets. Use null for missing values; do not invent values.' },
+        { role: 'user', content: conversation }
+      ],
+      response_format: { type: 'json_schema', json_schema: { name: 'ticket', schema, strict: false } }
+    }),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!res.ok) {
+    throw new Error(`chat completion failed: HTTP ${res.status} ${await res.text()}`);
+  }
+  const body = await res.json();
+  recordTextUsage(channelId, body.model || config.TICKET_MODEL, body.usage);
+  return parseJsonObject(body.choices?.[0]?.message?.content || '');
+}
+
+/**
+ * Extract and save the ticket for a call. Must run before the call leaves sipMap
+ * (and, in realtime mode, before its WebSocket is closed).
+ * - TICKET_EXTRACTION=realtime: out-of-band response on the live session, text request as fallback
+ * - TICKET_EXTRACTION=text: text request only
+ * Both share one TICKET_TIMEOUT_MS deadline, so cleanup waits at most that long.
+ * @returns {Promise<string|null>} path of the saved .ticket.json, or null if nothing was extracted
+ */
+async function extractTicket(channelId) {
+  const mode = config.TICKET_EXTRACTION;
+  if (mode !== 'realtime' && mode !== 'text') return null;
+
+  const data = sipMap.get(channelId);
+  const history = data?.history || [];
+  if (!history.some(h => h.who === 'USER')) {
+    logger.info(`Ticket extraction skipped for ${channelId} (caller said nothing)`);
+    return null;
+  }
+
+  const deadline = Date.now() + config.TICKET_TIMEOUT_MS;
+  let ticket = null;
+  if (mode === 'realtime' && data.ws && !data.wsClosed) {
+    try {
+      ticket = parseJsonObject(await requestOutOfBandText(channelId, INSTRUCTIONS, config.TICKET_TIMEOUT_MS));
+    } catch (e) {
+      logger.warn(`Realtime ticket extraction failed for ${channelId}: ${e.message}; falling back to text request`);
+    }
+  }
+  if (!ticket) {
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) {
+      logger.warn(`Ticket extraction for ${channelId} out of time (TICKET_TIMEOUT_MS=${config.TICKET_TIMEOUT_MS}); no ticket`);
+      return null;
+    }
+    try {
+      ticket = await extractViaText(channelId, history, remainingMs);
+    } catch (e) {
+      logger.warn(`Text ticket extraction failed for ${channelId}: ${e.message}`);
+      return null;
+    }
+  }
+
+  const file = transcriptPath(channelId).replace(/\.txt$/, '.ticket.json');
+  try {
+    await fs.promises.writeFile(file, JSON.stringify(ticket, null, 2) + '\n');
+    logger.info(`Ticket saved for ${channelId}: ${file}`);
+    return file;
+  } catch (e) {
+    logger.error(`Failed to write ticket for ${channelId}: ${e.message}`);
+    return null;
+  }
+}
+
+module.exports = { extractTicket };
@@ -0,0 +1,156 @@
+// tools.js
+// Function-calling tools exposed to the OpenAI Realtime session.
+// Built-in tools drive the call (queue handoff, hangup); custom tools can be
+// added from a module named in TOOLS_MODULE or via registerTool().
+
+const path = require('path');
+const { config, logger } = require('./config');
+const { appendTranscript } = require('./transcript');
+const { searchKnowledgeBase } = require('./kb');
+
+logger.info('Loading tools.js module');
+
+const registry = new Map();
+
+/**
+ * Register a tool the model may call.
+ * @param {Object}   tool
+ * @param {string}   tool.name          - function name seen by the model
+ * @param {string}   tool.description   - when/why the model should call it
+ * @param {Object}   [tool.parameters]  - JSON schema of the arguments
+ * @param {Function} tool.handler       - async (args, ctx) => JSON-serializable result
+ * @param {boolean}  [tool.followUp]    - ask the model to respond after the output (default true)
+ */
+function registerTool(tool) {
+  if (!tool || !tool.name || typeof tool.handler !== 'function') {
+    throw new Error('registerTool: name and handler are required');
+  }
+  if (registry.has(tool.name)) {
+    logger.warn(`Tool "${tool.name}" registered twice; replacing previous definition`);
+  }
+  registry.set(tool.name, {
+    name: tool.name,
+    description: tool.description || '',
+    parameters: tool.parameters || { type: 'object', properties: {} },
+    handler: tool.handler,
+    followUp: tool.followUp !== false
+  });
+}
+
+/** Tool list in the shape expected by session.update. */
+function getToolDefinitions() {
+  return [...registry.values()].map(t => ({
+    type: 'function',
+    name: t.name,
+    description: t.description,
+    parameters: t.parameters
+  }));
+}
+
+/**
+ * Run a tool by name.
+ * - Never throws; failures are returned to the model as { error }.
+ * - A handler still running after TOOL_TIMEOUT_MS is answered with { error: 'timeout' }.
+ * @returns {Promise<{ output: any, followUp: boolean }>}
+ */
+async function invokeTool(name, args, ctx) {
+  const tool = registry.get(name);
+  if (!tool) {
+    logger.warn(`Model called unknown tool "${name}" for ${ctx.channelId}`);
+    return { output: { error: `Unknown tool: ${name}` }, followUp: true };
+  }
+  const timedOut = {};
+  let timer;
+  try {
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(timedOut), config.TOOL_TIMEOUT_MS);
+    });
+    const output = await Promise.race([Promise.resolve().then(() => tool.handler(args || {}, ctx)), timeout]);
+    if (output === timedOut) {
+      logger.warn(`Tool "${name}" timed out after ${config.TOOL_TIMEOUT_MS} ms for ${ctx.channelId}`);
+      return { output: { error: 'timeout' }, followUp: true };
+    }
+    return { output: output === undefined ? { ok: true } : output, followUp: tool.followUp };
+  } catch (e) {
+    logger.error(`Tool "${name}" failed for ${ctx.channelId}: ${e.message}`);
+    return { output: { error: e.message }, followUp: true };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// --- built-in tools ---
+
+registerTool({
+  name: 'transfer_to_queue',
+  description: 'Transfer the caller to a human agent. Call this only when the caller asks for a human, consultant or staff member. Tell the caller you are connecting them before calling it.',
+  parameters: {
+    type: 'object',
+    properties: {
+      reason: { type: 'string', description: 'Short reason for the transfer' }
+    }
+  },
+  followUp: false,
+  handler: (args, ctx) => {
+    ctx.requestRedirect(`tool:transfer_to_queue${args.reason ? ` (${args.reason})` : ''}`);
+    return { status: 'transferring' };
+  }
+});
+
+registerTool({
+  name: 'end_call',
+  description: 'Hang up the call. Call this after you have said goodbye and the conversation is finished.',
+  parameters: {
+    type: 'object',
+    properties: {
+      reason: { type: 'string', description: 'Short reason for ending the call' }
+    }
+  },
+  followUp: false,
+  handler: (args, ctx) => {
+    ctx.requestTerminate('tool:end_call');
+    return { status: 'ending' };
+  }
+});
+
+if (config.KB_DIR) {
+  registerTool({
+    name: 'search_knowledge_base',
+    description: 'Search our FAQ, service information and current outage notices. Call this before answering any question about our services, prices, procedures or known outages; answer only from the returned snippets and say you do not know if nothing relevant comes back.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Keywords or the caller\'s question' }
+      },
+      required: ['query']
+    },
+    handler: ({ query }, ctx) => {
+      const results = searchKnowledgeBase(query || '');
+      // Keep what the model was shown in the transcript for auditing
+      if (!results.length) appendTranscript(ctx.channelId, 'KB', `"${query}" ⇒ no results`);
+      for (const r of results) {
+        appendTranscript(ctx.channelId, 'KB', `"${query}" ⇒ ${r.source} / ${r.title} (score ${r.score}): ${r.text.replace(/\s+/g, ' ')}`);
+      }
+      return results.length
+        ? { results: results.map(({ source, title, text }) => ({ source, title, text })) }
+        : { results: [], note: 'Nothing relevant in the knowledge base.' };
+    }
+  });
+  logger.info(`Knowledge base search tool enabled (KB_DIR=${config.KB_DIR})`);
+}
+
+// --- custom tools from TOOLS_MODULE ---
+// The module exports one tool object or an array of them (same shape as registerTool).
+if (config.TOOLS_MODULE) {
+  const modPath = path.resolve(__dirname, config.TOOLS_MODULE);
+  try {
+    const exported = require(modPath);
+    const list = Array.isArray(exported) ? exported : [exported];
+    list.forEach(registerTool);
+    logger.info(`Loaded ${list.length} custom tool(s) from ${modPath}`);
+  } catch (e) {
+    logger.error(`Failed to load TOOLS_MODULE ${modPath}: ${e.message}`);
+  }
+}
+
+module.exports = { registerTool, getToolDefinitions, invokeTool };
@@ -0,0 +1,130 @@
+// transcript.js
+// Conversation transcript files: {RECORDINGS_DIR}/YYYY/MM/DD/conversation-{callerId}-{channelId}.txt
+// "# Key: value" header lines are written when the session starts and footer lines at cleanup; writes to one file are serialized
+// so header updates never race with appended lines.
+
+const fs = require('fs');
+const path = require('path');
+const { config, logger } = require('./config');
+const { sipMap } = require('./state');
+const { publishCallEvent } = require('./events');
+
+function safeCallerId(channelId) {
+  const info = sipMap.get(channelId);
+  let cid = info?.callerId;
+  if (typeof cid === 'object' && cid) {
+    cid = cid.number || cid.name || cid.id;
+  }
+  cid = (cid || '').toString().trim();
+  cid = cid.replace(/[^\d+]/g, '');
+  return cid || 'unknown';
+}
+
+function ensureDailyDir() {
+  const root = config.RECORDINGS_DIR || '/var/spool/asterisk/monitor';
+  const now = new Date();
+  const yyyy = String(now.getFullYear());
+  const mm = String(now.getMonth() + 1).padStart(2, '0');
+  const dd = String(now.getDate()).padStart(2, '0');
+  const dir = path.join(root, yyyy, mm, dd);
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+  } catch (e) {
+    logger.error(`Failed to create transcripts dir ${dir}: ${e.message}`);
+  }
+  return dir;
+}
+
+/** Path is fixed on first use, so a call that crosses midnight keeps a single file. */
+function transcriptPath(channelId) {
+  const info = sipMap.get(channelId);
+  if (info && info.transcriptFile) return info.transcriptFile;
+  const dir = ensureDailyDir();
+  const callerId = safeCallerId(channelId);
+  const file = path.join(dir, `conversation-${callerId}-${channelId}.txt`);
+  if (info) info.transcriptFile = file;
+  return file;
+}
+
+// Pending write per file; each write waits for the previous one
+const writeChains = new Map();
+
+function enqueueWrite(file, task) {
+  const chain = (writeChains.get(file) || Promise.resolve()).then(task);
+  const settled = chain.catch(() => {});
+  writeChains.set(file, settled);
+  settled.then(() => { if (writeChains.get(file) === settled) writeChains.delete(file); });
+  return chain;
+}
+
+// Log the path once per file to make debugging easier
+const _loggedTranscriptPath = new Set();
+
+function appendTranscript(channelId, who, text) {
+  if (!text || !text.trim()) return;
+  try {
+    const file = transcriptPath(channelId);
+    // Keep the spoken turns in memory so a dropped OpenAI session can be resumed
+    const info = sipMap.get(channelId);
+    if (info && (who.startsWith('USER') || who.startsWith('ASSISTANT'))) {
+      if (!info.history) info.history = [];
+      info.history.push({ who: who.startsWith('USER') ? 'USER' : 'ASSISTANT', text });
+    }
+    publishCallEvent(channelId, 'transcript', { who, text });
+    const line = `${new Date().toISOString()} ${who}: ${text}\n`;
+    enqueueWrite(file, () => fs.promises.appendFile(file, line)).then(() => {
+      if (!_loggedTranscriptPath.has(file)) {
+        _loggedTranscriptPath.add(file);
+        logger.info(`Transcript file path for ${channelId}: ${file}`);
+      }
+    }, (err) => {
+      logger.error(`Failed to write transcript for ${channelId}: ${err.message}`);
+    });
+  } catch (e) {
+    logger.error(`Transcript write error for ${channelId}: ${e.message}`);
+  }
+}
+
+/**
+ * Start the transcript with "# Key: value" header lines (once per file).
+ * @param {Object} fields - e.g. { Channel, Caller, Profile, Started, Language }
+ */
+function writeTranscriptHeader(channelId, fields) {
+  const file = transcriptPath(channelId);
+  const header = Object.entries(fields).map(([k, v]) => `# ${k}: ${v}`).join('\n') + '\n';
+  enqueueWrite(file, async () => {
+    try {
+      await fs.promises.access(file);
+      return; // header already there (e.g. session resumed)
+    } catch (_) {}
+    await fs.promises.writeFile(file, header);
+  }).catch((err) => logger.error(`Failed to write transcript header for ${channelId}: ${err.message}`));
+}
+
+/** Replace (or add) one "# Key: value" header line in place. */
+function setTranscriptHeaderField(channelId, key, value) {
+  const file = transcriptPath(channelId);
+  enqueueWrite(file, async () => {
+    const text = await fs.promises.readFile(file, 'utf8');
+    const lines = text.split('\n');
+    let headerEnd = lines.findIndex(l => !l.startsWith('# '));
+    if (headerEnd === -1) headerEnd = lines.length;
+    const idx = lines.slice(0, headerEnd).findIndex(l => l.startsWith(`# ${key}:`));
+    if (idx !== -1) lines[idx] = `# ${key}: ${value}`;
+    else lines.splice(headerEnd, 0, `# ${key}: ${value}`);
+    await fs.promises.writeFile(file, lines.join('\n'));
+  }).catch((err) => logger.error(`Failed to update transcript header for ${channelId}: ${err.message}`));
+}
+
+/**
+ * Close the transcript with "# Key: value" footer lines (call cleanup).
+ * @returns {Promise<void>} resolves once written, so the file can be mailed complete
+ */
+function appendTranscriptFooter(channelId, fields) {
+  const file = transcriptPath(channelId);
+  const footer = Object.entries(fields).map(([k, v]) => `# ${k}: ${v}`).join('\n') + '\n';
+  return enqueueWrite(file, () => fs.promises.appendFile(file, footer))
+    .catch((err) => logger.error(`Failed to write transcript footer for ${channelId}: ${err.message}`));
+}
+
+module.exports = { transcriptPath, appendTranscript, writeTranscriptHeader, setTranscriptHeaderField, appendTranscriptFooter };
@@ -0,0 +1,240 @@
+// uplink.js
+// Caller audio on its way to OpenAI. Frames from the RTP receiver are batched into
+// INPUT_AUDIO_CHUNK_MS appends instead of one WebSocket message per 20 ms packet.
+// An optional energy VAD with an adaptive noise floor holds back long stretches of
+// silence (LOCAL_VAD_ENABLED), and with VAD_TYPE=manual it also decides where the
+// caller's turn ends and commits the input buffer itself.
+// While the assistant is speaking, the profile's BARGE_IN_MODE decides what happens
+// to caller audio: full (sent as usual), none (dropped: half duplex) or guarded
+// (held until BARGE_IN_MIN_SPEECH_MS of speech, then the assistant is interrupted
+// and the held audio sent; shorter noise bursts are dropped).
+
+const { config, logger } = require('./config');
+const { sipMap } = require('./state');
+const { frameLevelDb } = require('./codec');
+
+const ONSET_FRAMES = 2;         // consecutive voiced frames that start an utterance
+const FLOOR_FALL = 0.2;         // noise floor follows quieter frames quickly...
+const FLOOR_RISE = 0.002;       // ...and louder non-speech frames slowly (~10 s at 50 fps)
+const MIN_FLOOR_DB = -90;
+
+/**
+ * Energy VAD: a frame is voiced when it is LOCAL_VAD_MARGIN_DB above the tracked
+ * noise floor and above LOCAL_VAD_MIN_LEVEL_DB. The floor only adapts on unvoiced frames.
+ * @returns {Function} (pcm: Int16Array) => boolean
+ */
+function createEnergyVad() {
+  let floor = null;
+  return (pcm) => {
+    const level = frameLevelDb(pcm);
+    if (floor === null) floor = Math.max(MIN_FLOOR_DB, level);
+    const voiced = level >= floor + config.LOCAL_VAD_MARGIN_DB && level >= config.LOCAL_VAD_MIN_LEVEL_DB;
+    if (!voiced) {
+      floor += (level - floor) * (level < floor ? FLOOR_FALL : FLOOR_RISE);
+      floor = Math.max(MIN_FLOOR_DB, floor);
+    }
+    return voiced;
+  };
+}
+
+/**
+ * @param {Object} p
+ * @param {string} p.channelId
+ * @param {Object} p.media - per-call codec from codec.js
+ * @returns {{ push: Function, close: Function }}
+ */
+function createUplink({ channelId, media }) {
+  const frameMsOf = (payload) => payload.length / media.bytesPerMs;
+  const isVoiced = createEnergyVad();
+  let batch = [];
+  let batchMs = 0;
+  let preroll = [];        // held-back frames { audio, ms }, replayed when speech starts
+  let prerollMs = 0;
+  let inUtterance = false;
+  let voicedRun = 0;
+  let speechMs = 0;
+  let silenceMs = 0;
+  let closed = false;
+  const guardVad = createEnergyVad();
+  let guarded = [];        // caller frames { payload, audio, ms } held while the assistant speaks
+  let guardedMs = 0;
+  let guardSpeechMs = 0;
+  let guardSilenceMs = 0;
+  const stats = { sentMs: 0, heldMs: 0, appends: 0, utterances: 0, commits: 0, suppressedMs: 0, bargeIns: 0 };
+
+  const callData = () => sipMap.get(channelId);
+  const callProfile = () => (callData() || {}).profile || config;
+  const assistantSpeaking = () => {
+    const data = callData();
+    return !!(data && data.assistant && typeof data.assistant.isSpeaking === 'function' && data.assistant.isSpeaking());
+  };
+  const manualTurns = () => {
+    const data = callData();
+    const profile = (data && data.profile) || config;
+    return String(profile.VAD_TYPE || '').toLowerCase() === 'manual';
+  };
+
+  function sendEvent(event) {
+    const data = callData();
+    if (!data || !data.ws || data.ws.readyState !== 1) return false;
+    data.ws.send(JSON.stringify(event));
+    return true;
+  }
+
+  function flush() {
+    if (!batch.length) return;
+    const audio = batch.length === 1 ? batch[0] : Buffer.concat(batch);
+    if (sendEvent({ type: 'input_audio_buffer.append', audio: audio.toString('base64') })) {
+      stats.appends++;
+      stats.sentMs += batchMs;
+    }
+    batch = [];
+    batchMs = 0;
+  }
+
+  function send(audio, ms) {
+    batch.push(audio);
+    batchMs += ms;
+    if (batchMs >= config.INPUT_AUDIO_CHUNK_MS) flush();
+  }
+
+  function hold(audio, ms) {
+    flush(); // what was sent before the pause should not wait for the next utterance
+    preroll.push({ audio, ms });
+    prerollMs += ms;
+    stats.heldMs += ms;
+    while (preroll.length > 1 && prerollMs - preroll[0].ms >= config.LOCAL_VAD_PREROLL_MS) {
+      prerollMs -= preroll.shift().ms;
+    }
+  }
+
+  function startUtterance() {
+    inUtterance = true;
+    speechMs = 0;
+    stats.utterances++;
+    // The onset is in the held-back frames: send them first
+    for (const f of preroll) {
+      stats.heldMs -= f.ms;
+      send(f.audio, f.ms);
+    }
+    preroll = [];
+    prerollMs = 0;
+    const data = callData();
+    if (data && data.assistant && typeof data.assistant.callerSpeechStarted === 'function') {
+      data.assistant.callerSpeechStarted();
+    }
+  }
+
+  function endUtterance(manual) {
+    inUtterance = false;
+    flush();
+    if (!manual) return;
+    if (speechMs < config.LOCAL_VAD_MIN_SPEECH_MS) {
+      // A click or cough: drop it instead of starting a turn
+      sendEvent({ type: 'input_audio_buffer.clear' });
+      logger.debug(`Local VAD for ${channelId}: ${speechMs}ms blip discarded`);
+      return;
+    }
+    const data = callData();
+    if (data && data.assistant && typeof data.assistant.commitUserTurn === 'function') {
+      stats.commits++;
+      data.assistant.commitUserTurn();
+    }
+  }
+
+  /** Normal path: batching, local VAD and manual commits. */
+  function deliver(payload, audio, ms) {
+    const manual = manualTurns();
+    if (!config.LOCAL_VAD_ENABLED && !manual) {
+      send(audio, ms);
+      return;
+    }
+
+    const voiced = isVoiced(media.codec.decode(payload));
+    voicedRun = voiced ? voicedRun + 1 : 0;
+    silenceMs = voiced ? 0 : silenceMs + ms;
+    if (!inUtterance && voicedRun >= ONSET_FRAMES) startUtterance();
+
+    if (inUtterance) {
+      speechMs += ms;
+      send(audio, ms);
+      // Manual mode ends the turn after the configured pause; otherwise server VAD does that
+      const endMs = manual ? Number((callData()?.profile || config).VAD_SILENCE_DURATION_MS) || 600 : config.LOCAL_VAD_HANGOVER_MS;
+      if (silenceMs >= endMs) endUtterance(manual);
+    } else if (!config.LOCAL_VAD_ENABLED || silenceMs < config.LOCAL_VAD_SILENCE_KEEP_MS) {
+      // Trailing silence still goes up so the server VAD sees the caller stop
+      send(audio, ms);
+    } else {
+      hold(audio, ms);
+    }
+  }
+
+  function releaseGuarded() {
+    const frames = guarded;
+    guarded = [];
+    guardedMs = 0;
+    guardSpeechMs = 0;
+    guardSilenceMs = 0;
+    for (const f of frames) deliver(f.payload, f.audio, f.ms);
+  }
+
+  /** BARGE_IN_MODE=guarded while the assistant speaks: interrupt only on sustained speech. */
+  function guardFrame(payload, audio, ms) {
+    const voiced = guardVad(media.codec.decode(payload));
+    guarded.push({ payload, audio, ms });
+    guardedMs += ms;
+    guardSpeechMs += voiced ? ms : 0;
+    guardSilenceMs = voiced ? 0 : guardSilenceMs + ms;
+
+    const minSpeechMs = Number(callProfile().BARGE_IN_MIN_SPEECH_MS) || 0;
+    if (guardSpeechMs >= minSpeechMs) {
+      stats.bargeIns++;
+      logger.info(`Caller spoke ${guardSpeechMs}ms over the assistant on ${channelId}; interrupting (guarded barge-in)`);
+      const data = callData();
+      if (data && data.assistant && typeof data.assistant.bargeIn === 'function') data.assistant.bargeIn();
+      releaseGuarded();
+      return;
+    }
+    if (guardSilenceMs >= config.LOCAL_VAD_HANGOVER_MS) guardSpeechMs = 0; // the burst ended: noise
+    // Keep only what could still belong to a real interruption
+    while (guarded.length > 1 && guardedMs - guarded[0].ms >= minSpeechMs + config.LOCAL_VAD_PREROLL_MS) {
+      const dropped = guarded.shift();
+      guardedMs -= dropped.ms;
+      stats.suppressedMs += dropped.ms;
+    }
+  }
+
+  return {
+    /** One frame of caller audio (Asterisk codec payload), in playout order. */
+    push(payload) {
+      if (closed || !payload.length) return;
+      const audio = media.toRealtime(payload);
+      const ms = frameMsOf(payload);
+      const mode = callProfile().BARGE_IN_MODE;
+      if ((mode === 'none' || mode === 'guarded') && assistantSpeaking()) {
+        if (mode === 'guarded') {
+          guardFrame(payload, audio, ms);
+        } else {
+          stats.suppressedMs += ms; // half duplex: the caller is not heard while the assistant talks
+        }
+        return;
+      }
+      // Assistant finished while a short burst was held: it may be the start of the caller's turn
+      if (guarded.length) releaseGuarded();
+      deliver(payload, audio, ms);
+    },
+
+    /** Send what is batched and log the savings. */
+    close() {
+      if (closed) return;
+      flush();
+      closed = true;
+      const total = stats.sentMs + stats.heldMs;
+      logger.info(`Uplink for ${channelId}: ${(stats.sentMs / 1000).toFixed(1)}s sent in ${stats.appends} append(s), ${(stats.heldMs / 1000).toFixed(1)}s of silence held back` +
+        (total ? ` (${Math.round(stats.heldMs / total * 100)}%)` : '') + `, ${stats.utterances} utterance(s), ${stats.commits} manual commit(s)` +
+        (stats.suppressedMs || stats.bargeIns ? `, ${(stats.suppressedMs / 1000).toFixed(1)}s ignored over the assistant, ${stats.bargeIns} guarded barge-in(s)` : ''));
+    }
+  };
+}
+
+module.exports = { createUplink, createEnergyVad };
@@ -0,0 +1,186 @@
+// usage.js
+// Per-call token usage and estimated cost. Realtime usage comes from response.done,
+// text requests (ticket extraction) report their own. At cleanup the totals go into
+// the transcript footer and a daily ledger: {USAGE_LEDGER_DIR}/YYYY-MM-DD.jsonl
+// (one JSON line per call), which getDailyUsage() sums per profile.
+
+const fs = require('fs');
+const path = require('path');
+const { config, logger } = require('./config');
+const { sipMap } = require('./state');
+const { appendTranscriptFooter } = require('./transcript');
+
+logger.info('Loading usage.js module');
+
+// USD per 1M tokens; the longest matching model prefix wins (dated snapshots share a price)
+const DEFAULT_PRICES = {
+  'gpt-4o-realtime-preview': { text_in: 5, text_cached_in: 2.5, audio_in: 40, audio_cached_in: 2.5, text_out: 20, audio_out: 80 },
+  'gpt-4o-mini-realtime-preview': { text_in: 0.6, text_cached_in: 0.3, audio_in: 10, audio_cached_in: 0.3, text_out: 2.4, audio_out: 20 },
+  'gpt-realtime': { text_in: 4, text_cached_in: 0.4, audio_in: 32, audio_cached_in: 0.4, text_out: 16, audio_out: 64 },
+  'gpt-4o-mini': { text_in: 0.15, text_cached_in: 0.075, text_out: 0.6 },
+  'gpt-4o': { text_in: 2.5, text_cached_in: 1.25, text_out: 10 }
+};
+
+const COUNTERS = ['text_in', 'text_cached_in', 'audio_in', 'audio_cached_in', 'text_out', 'audio_out'];
+
+function loadPrices() {
+  if (!config.USAGE_PRICES_FILE) return DEFAULT_PRICES;
+  const file = path.resolve(__dirname, config.USAGE_PRICES_FILE);
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (e) {
+    logger.error(`Failed to load USAGE_PRICES_FILE ${file}: ${e.message}; using built-in prices`);
+    return DEFAULT_PRICES;
+  }
+}
+
+const prices = loadPrices();
+
+function priceFor(model) {
+  const key = Object.keys(prices)
+    .filter(prefix => model === prefix || model.startsWith(`${prefix}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+function addCounters(channelId, model, counts) {
+  const data = sipMap.get(channelId);
+  if (!data) return;
+  if (!data.usage) data.usage = {};
+  const entry = data.usage[model] || (data.usage[model] = { requests: 0, ...Object.fromEntries(COUNTERS.map(c => [c, 0])) });
+  entry.requests++;
+  for (const c of COUNTERS) entry[c] += counts[c] || 0;
+}
+
+/** Add the usage block of a Realtime response.done event. */
+function recordRealtimeUsage(channelId, model, usage) {
+  if (!usage) return;
+  const inDetails = usage.input_token_details || {};
+  const cached = inDetails.cached_tokens_details || {};
+  const outDetails = usage.output_token_details || {};
+  addCounters(channelId, model, {
+    text_in: (inDetails.text_tokens || 0) - (cached.text_tokens || 0),
+    text_cached_in: cached.text_tokens || 0,
+    audio_in: (inDetails.audio_tokens || 0) - (cached.audio_tokens || 0),
+    audio_cached_in: cached.audio_tokens || 0,
+    text_out: outDetails.text_tokens || 0,
+    audio_out: outDetails.audio_tokens || 0
+  });
+}
+
+/** Add the usage block of a Chat Completions response. */
+function recordTextUsage(channelId, model, usage) {
+  if (!usage) return;
+  const cachedIn = usage.prompt_tokens_details?.cached_tokens || 0;
+  addCounters(channelId, model, {
+    text_in: (usage.prompt_tokens || 0) - cachedIn,
+    text_cached_in: cachedIn,
+    text_out: usage.completion_tokens || 0
+  });
+}
+
+/**
+ * Estimated cost of a call's usage.
+ * @returns {{ total: number, byModel: Object<string, number|null> }} null for models without a price
+ */
+function estimateCost(usage = {}) {
+  let total = 0;
+  const byModel = {};
+  for (const [model, counts] of Object.entries(usage)) {
+    const price = priceFor(model);
+    if (!price) {
+      byModel[model] = null;
+      continue;
+    }
+    const cost = COUNTERS.reduce((sum, c) => sum + (counts[c] || 0) * (price[c] || 0), 0) / 1e6;
+    byModel[model] = cost;
+    total += cost;
+  }
+  return { total, byModel };
+}
+
+const formatCost = (n) => `${n.toFixed(4)} ${config.USAGE_CURRENCY}`;
+
+function ledgerFile(date = new Date()) {
+  const yyyy = date.getFullYear();
+  const mm = String(date.getMonth() + 1).padStart(2, '0');
+  const dd = String(date.getDate()).padStart(2, '0');
+  return path.join(config.USAGE_LEDGER_DIR, `${yyyy}-${mm}-${dd}.jsonl`);
+}
+
+/**
+ * Write the call's usage into the transcript footer and the daily ledger (call cleanup).
+ * Must run while the call is still in sipMap.
+ */
+async function finalizeUsage(channelId, reason) {
+  const data = sipMap.get(channelId);
+  if (!data) return;
+  const usage = data.usage || {};
+  const { total, byModel } = estimateCost(usage);
+  const unpriced = Object.keys(byModel).filter(m => byModel[m] === null);
+  if (unpriced.length) logger.warn(`No price configured for model(s) ${unpriced.join(', ')}; cost for ${channelId} is incomplete`);
+
+  const tokens = (u) => COUNTERS.filter(c => u[c]).map(c => `${c}=${u[c]}`).join(' ') || 'none';
+  const footer = {};
+  for (const [model, u] of Object.entries(usage)) footer[`Usage ${model}`] = `${tokens(u)} (${u.requests} requests)`;
+  footer['Estimated cost'] = formatCost(total);
+  await appendTranscriptFooter(channelId, footer);
+
+  const profile = data.profile ? data.profile.name : 'default';
+  const record = {
+    ts: new Date().toISOString(),
+    channelId,
+    callerId: data.callerId || 'unknown',
+    profile,
+    reason,
+    durationS: data.startedAt ? Math.round((Date.now() - data.startedAt) / 1000) : null,
+    usage,
+    cost: Number(total.toFixed(6)),
+    currency: config.USAGE_CURRENCY
+  };
+  const file = ledgerFile();
+  try {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, JSON.stringify(record) + '\n');
+  } catch (e) {
+    logger.error(`Failed to write usage ledger ${file}: ${e.message}`);
+  }
+  logger.info(`Usage for ${channelId} (profile ${profile}): ${formatCost(total)}`);
+}
+
+/**
+ * Daily totals from the ledger, overall and per profile.
+ * @param {string} [day] - YYYY-MM-DD, default today
+ */
+async function getDailyUsage(day) {
+  const date = day ? new Date(`${day}T00:00:00`) : new Date();
+  if (Number.isNaN(date.getTime())) throw new Error(`invalid date "${day}"`);
+  const file = ledgerFile(date);
+  const empty = () => ({ calls: 0, durationS: 0, cost: 0, tokens: Object.fromEntries(COUNTERS.map(c => [c, 0])) });
+  const result = { date: path.basename(file, '.jsonl'), currency: config.USAGE_CURRENCY, total: empty(), profiles: {} };
+
+  let text;
+  try {
+    text = await fs.promises.readFile(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return result;
+    throw e;
+  }
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    let rec;
+    try { rec = JSON.parse(line); } catch (_) { continue; }
+    for (const bucket of [result.total, result.profiles[rec.profile] || (result.profiles[rec.profile] = empty())]) {
+      bucket.calls++;
+      bucket.durationS += rec.durationS || 0;
+      bucket.cost += rec.cost || 0;
+      for (const u of Object.values(rec.usage || {})) {
+        for (const c of COUNTERS) bucket.tokens[c] += u[c] || 0;
+      }
+    }
+  }
+  for (const bucket of [result.total, ...Object.values(result.profiles)]) bucket.cost = Number(bucket.cost.toFixed(4));
+  return result;
+}
+
+module.exports = { recordRealtimeUsage, recordTextUsage, estimateCost, finalizeUsage, getDailyUsage };